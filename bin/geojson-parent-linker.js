@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const commands = require('../lib/commands');
+
+function printHelp() {
+  console.log('Usage: geojson-parent-linker <command> [options]\n\nCommands:');
+  for (const [name, command] of Object.entries(commands)) {
+    console.log(`  ${name.padEnd(12)} ${command.summary}`);
+  }
+  console.log('\nRun "geojson-parent-linker <command> --help" for command options.');
+}
+
+async function main(argv) {
+  const [name, ...args] = argv;
+  if (!name || name === '--help' || name === '-h') {
+    printHelp();
+    return;
+  }
+
+  const command = commands[name];
+  if (!command) {
+    console.error(`Unknown command: ${name}\n`);
+    printHelp();
+    process.exit(1);
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      options: { ...command.options, help: { type: 'boolean', short: 'h' } },
+      allowPositionals: true
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${command.usage}`);
+    process.exit(1);
+  }
+
+  if (parsed.values.help) {
+    console.log(command.usage);
+    return;
+  }
+
+  try {
+    await command.run(parsed.values, parsed.positionals);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { main };
+
+if (require.main === module) main(process.argv.slice(2));
@@ -0,0 +1,239 @@
+const { createLinker, linkLevel } = require('./lib/linker');
+const { linkFeatures } = require('./lib/parallel');
+const { linkIncremental, loadLinkState, saveLinkState } = require('./lib/incremental');
+const { getFeatureId } = require('./lib/features');
+const { readFeatures } = require('./lib/geojsonStream');
+const { readFeatureFile, readAllFeatures, registerReader } = require('./lib/readers');
+const { createWriter, registerWriter } = require('./lib/writers');
+const { runPipeline } = require('./lib/pipeline');
+const { LinkReport } = require('./lib/report');
+const { PointLookup } = require('./lib/lookup');
+const { HierarchyTree } = require('./lib/tree');
+const diff = require('./lib/diff');
+const coverage = require('./lib/coverage');
+const server = require('./lib/server');
+const schema = require('./lib/schema');
+const simplify = require('./lib/simplify');
+const { validateLevel } = require('./lib/geometry');
+const { splitLevel } = require('./lib/lines');
+const antimeridian = require('./lib/antimeridian');
+
+// Programmatic entry point. Unlike the scripts and the CLI, nothing here
+// logs or exits: warnings and unmatched children are collected into the
+// returned summary, and errors are thrown to the caller. Input features are
+// never modified; enriched copies are returned.
+
+function toFeatures(input) {
+  return Array.isArray(input) ? input : input.features;
+}
+
+function createSummary() {
+  return { total: 0, matched: 0, unmatched: 0, unmatchedIds: [], warnings: [] };
+}
+
+// Linker options that record into `summary` instead of the console
+function summaryOptions(summary, options) {
+  return {
+    ...options,
+    logger: {
+      log() {},
+      warn: (...args) => summary.warnings.push(args.join(' '))
+    },
+    onLink(childFeature, parentFeature, details) {
+      summary.total++;
+      if (parentFeature) {
+        summary.matched++;
+      } else {
+        summary.unmatched++;
+        summary.unmatchedIds.push(getFeatureId(childFeature, options.childIdKey));
+      }
+      if (options.onLink) options.onLink(childFeature, parentFeature, details);
+    }
+  };
+}
+
+// With `report: true`, the linkage report of lib/report.js is collected too
+function withReport(parentFeatures, options) {
+  if (!options.report) return { options };
+  const report = new LinkReport({ ...options, parentFeatures });
+  const onLink = (childFeature, parentFeature, details) => {
+    report.record(childFeature, parentFeature, details);
+    if (options.onLink) options.onLink(childFeature, parentFeature, details);
+  };
+  const onValidate = (feature, result, details) => {
+    report.recordGeometry(feature, result, details);
+    if (options.onValidate) options.onValidate(feature, result, details);
+  };
+  return { report, options: { ...options, onLink, onValidate, collectCandidates: true } };
+}
+
+// Link child features to parent features. Both arguments may be a
+// FeatureCollection or an array of features. Options are those of
+// createLinker in lib/linker.js (level, mode and joins, property keys, field names),
+// plus `report` to also return a linkage quality report,
+// `validate`/`repair` to check geometries first (lib/geometry.js),
+// `splitAntimeridian` to cut geometries at ±180 (lib/antimeridian.js) and
+// `splitLines` to cut line children at parent boundaries (lib/lines.js).
+function linkParents(parents, children, options = {}) {
+  const summary = createSummary();
+  const { report, options: linkerOptions } = withReport(toFeatures(parents), options);
+  const levelOptions = summaryOptions(summary, linkerOptions);
+  const validated = validateLevel(toFeatures(parents), toFeatures(children), levelOptions);
+  const unwrapped = antimeridian.antimeridianLevel(validated.parentFeatures, validated.children, levelOptions);
+  const { parentFeatures, children: childFeatures } = splitLevel(unwrapped.parentFeatures, unwrapped.children, levelOptions);
+  const linkFeature = createLinker(parentFeatures, levelOptions);
+  const features = childFeatures.map((feature, i) => linkFeature(structuredClone(feature), i));
+  return { features, summary, ...(report && { report: report.toJSON() }) };
+}
+
+async function* cloneEach(features) {
+  for await (const feature of features) yield structuredClone(feature);
+}
+
+// Async-iterable variant for inputs too large to hold in memory. `parents`
+// and `children` may also be file paths (any format of lib/readers);
+// `children` may be any (async) iterable of features. `summary` is filled in
+// as `features` is consumed.
+// With `workers` (a number or "auto"), children are linked on worker threads;
+// results still come out in input order.
+// With `incremental: true`, only children that changed since `previousState`
+// (the `summary.state` of an earlier run, see lib/incremental.js) are linked
+// again; `summary.state`, `summary.reused` and `summary.relinked` are set
+// once iteration finishes.
+function linkParentsIterable(parents, children, options = {}) {
+  const summary = createSummary();
+
+  async function* link() {
+    const parentFeatures = typeof parents === 'string' ? await readAllFeatures(parents) : toFeatures(parents);
+    const { report, options: linkerOptions } = withReport(parentFeatures, options);
+    const source = typeof children === 'string' ? readFeatureFile(children) : children.features || children;
+    const { incremental, previousState, ...levelOptions } = summaryOptions(summary, linkerOptions);
+    if (incremental) {
+      const linked = linkIncremental(parentFeatures, cloneEach(source), { ...levelOptions, previous: previousState });
+      yield* linked.features;
+      Object.assign(summary, { state: linked.state, ...linked.stats });
+    } else {
+      yield* linkFeatures(parentFeatures, cloneEach(source), levelOptions);
+    }
+    if (report) summary.report = report.toJSON();
+  }
+
+  return { features: link(), summary };
+}
+
+// Link an ordered list of levels (FeatureCollections or feature arrays, top
+// level first). Returns the linked levels and one summary per child level.
+function linkHierarchy(levels, { idKey, nameKey, ...options } = {}) {
+  const linked = levels.map(level => toFeatures(level).map(feature => structuredClone(feature)));
+  const summaries = [];
+
+  for (let level = 1; level < linked.length; level++) {
+    const summary = createSummary();
+    const levelOptions = summaryOptions(summary, {
+      ...options,
+      level,
+      parentIdKey: idKey,
+      parentNameKey: nameKey,
+      childIdKey: idKey,
+      childNameKey: nameKey
+    });
+    const validated = validateLevel(linked[level - 1], linked[level], levelOptions);
+    const unwrapped = antimeridian.antimeridianLevel(validated.parentFeatures, validated.children, levelOptions);
+    const { parentFeatures, children } = splitLevel(unwrapped.parentFeatures, unwrapped.children, levelOptions);
+    linked[level - 1] = parentFeatures;
+    linked[level] = linkLevel(parentFeatures, children, levelOptions);
+    summaries.push(summary);
+  }
+
+  return {
+    levels: linked.map(features => ({ type: 'FeatureCollection', features })),
+    summaries
+  };
+}
+
+// Nest linked levels (top level first, as returned by linkHierarchy) into a
+// tree of { id, name, level, bbox, childCount, children }, with the same
+// units as an adjacency list. Options: idKey, nameKey, idField.
+function buildTree(levels, options = {}) {
+  const tree = new HierarchyTree(options);
+  levels.forEach((level, i) => toFeatures(level).forEach(feature => tree.add(i, feature)));
+  return { ...tree.toJSON(), adjacency: tree.toAdjacency() };
+}
+
+// Compare two releases of a level (FeatureCollections or feature arrays).
+// Returns { totals, changes, successors, parentReassignments }; options are
+// those of diffLevels in lib/diff.js.
+function diffLevels(oldLevel, newLevel, options = {}) {
+  return diff.diffLevels(toFeatures(oldLevel), toFeatures(newLevel), {
+    logger: { log() {}, warn() {} },
+    ...options
+  });
+}
+
+// Check that linked children (FeatureCollection or feature array) cover
+// their parents. Returns { totals, minCoverage, parents, gaps, overlaps };
+// options are those of checkCoverage in lib/coverage.js.
+function checkCoverage(parents, children, options = {}) {
+  return coverage.checkCoverage(toFeatures(parents), toFeatures(children), {
+    logger: { log() {}, warn() {} },
+    ...options
+  });
+}
+
+// HTTP lookup service over linked levels (FeatureCollections or feature
+// arrays, top level first). Returns an http.Server to listen() on; options
+// are idKey, nameKey, idField and cors (see lib/server.js).
+function createLookupServer(levels, options = {}) {
+  return server.createLookupServer(new server.UnitIndex(levels, options), {
+    logger: { log() {}, warn() {} },
+    ...options
+  });
+}
+
+// Function returning a copy of a feature with its properties shaped by an
+// output schema (see lib/schema.js); values that cannot be converted to their
+// type quietly take the default
+function compileSchema(definition, options = {}) {
+  return schema.compileSchema(definition, {
+    logger: { log() {}, warn() {} },
+    ...options
+  });
+}
+
+// Smaller copies of features (FeatureCollection or feature array) for
+// output: { simplify, precision, bbox } as in lib/simplify.js
+function shrinkFeatures(features, options) {
+  return simplify.shrinkFeatures(toFeatures(features), options);
+}
+
+// Copies of features (FeatureCollection or feature array) with geometries
+// crossing the antimeridian cut at ±180 (see lib/antimeridian.js); features
+// that do not cross are returned as they are
+function splitAntimeridian(features) {
+  return toFeatures(features).map(antimeridian.splitAtAntimeridian);
+}
+
+module.exports = {
+  linkParents,
+  linkParentsIterable,
+  linkHierarchy,
+  buildTree,
+  HierarchyTree,
+  diffLevels,
+  checkCoverage,
+  runPipeline,
+  PointLookup,
+  createLookupServer,
+  compileSchema,
+  shrinkFeatures,
+  splitAntimeridian,
+  geoBbox: antimeridian.geoBbox,
+  readFeatures,
+  readFeatureFile,
+  readAllFeatures,
+  loadLinkState,
+  saveLinkState,
+  registerReader,
+  createWriter,
+  registerWriter
+};
@@ -0,0 +1,28 @@
+import lib from './index.js';
+
+export const {
+  linkParents,
+  linkParentsIterable,
+  linkHierarchy,
+  buildTree,
+  HierarchyTree,
+  diffLevels,
+  checkCoverage,
+  runPipeline,
+  PointLookup,
+  createLookupServer,
+  compileSchema,
+  shrinkFeatures,
+  splitAntimeridian,
+  geoBbox,
+  readFeatures,
+  readFeatureFile,
+  readAllFeatures,
+  loadLinkState,
+  saveLinkState,
+  registerReader,
+  createWriter,
+  registerWriter
+} = lib;
+
+export default lib;
@@ -0,0 +1,308 @@
+const turf = require('@turf/turf');
+const { getFeatureId } = require('./features');
+const { mapChildren } = require('./stages');
+
+// Longitudes wrap at ±180. A ring or line stepping more than 180 degrees
+// between two positions is taken to cross the antimeridian rather than the
+// whole globe, as in RFC 7946. A bbox crossing it has west > east, e.g.
+// [177, -19, -178, -16] for Fiji; lib/spatialIndex.js indexes and queries it
+// as the two boxes either side of ±180. Areas are measured on the sphere
+// (turf.area), which is equal-area at every latitude, with crossing rings
+// unwrapped first so they are not measured the long way round. The planar
+// overlay operations of turf need crossing geometries cut at ±180, which the
+// linker and point lookups do on copies of them; with `splitAntimeridian`,
+// the features themselves are cut before linking and written so.
+
+// Positions with their longitudes made continuous (e.g. 179, 181 in place of
+// 179, -179); the same array when there is nothing to unwrap
+function unwrap(positions) {
+  let offset = 0;
+  let unwrapped = positions;
+  for (let i = 1; i < positions.length; i++) {
+    const step = positions[i][0] - positions[i - 1][0];
+    if (step > 180) offset -= 360;
+    else if (step < -180) offset += 360;
+    if (offset !== 0 && unwrapped === positions) unwrapped = positions.slice(0, i);
+    if (unwrapped !== positions) unwrapped.push(offset === 0 ? positions[i] : [positions[i][0] + offset, ...positions[i].slice(1)]);
+  }
+  return unwrapped;
+}
+
+function lonRange(positions) {
+  let west = Infinity;
+  let east = -Infinity;
+  for (const [lon] of positions) {
+    if (lon < west) west = lon;
+    if (lon > east) east = lon;
+  }
+  return [west, east];
+}
+
+const shiftPositions = (positions, shift) => shift === 0 ? positions : positions.map(([lon, ...rest]) => [lon + shift, ...rest]);
+
+// The multiple of 360 that brings `west` into [-180, 180]
+const wrapShift = west => west < -180 || west > 180 ? -360 * Math.floor((west + 180) / 360) : 0;
+
+// The connected parts of a geometry that decide its longitude extent: each
+// exterior ring (holes lie inside it), line and point
+function extentParts(geometry) {
+  if (!geometry) return [];
+  const { type, coordinates } = geometry;
+  switch (type) {
+    case 'Point':
+      return [[coordinates]];
+    case 'MultiPoint':
+      return coordinates.map(position => [position]);
+    case 'LineString':
+      return [coordinates];
+    case 'MultiLineString':
+      return coordinates;
+    case 'Polygon':
+      return coordinates.slice(0, 1);
+    case 'MultiPolygon':
+      return coordinates.map(polygon => polygon[0]).filter(Boolean);
+    case 'GeometryCollection':
+      return geometry.geometries.flatMap(extentParts);
+    default:
+      return [];
+  }
+}
+
+// The smallest [west, east] covering longitude intervals on the circle, with
+// west > east when it crosses the antimeridian. Each interval has its west
+// end in [-180, 180] and may run past 180.
+function circularExtent(intervals) {
+  const pieces = intervals.flatMap(([west, east]) => {
+    if (east - west >= 360) return [[-180, 180]];
+    return east > 180 ? [[west, 180], [-180, east - 360]] : [[west, east]];
+  }).sort((a, b) => a[0] - b[0]);
+
+  let reach = pieces[0][1];
+  let gap = null;
+  for (const [west, east] of pieces.slice(1)) {
+    if (west > reach && (!gap || west - reach > gap[1] - gap[0])) gap = [reach, west];
+    reach = Math.max(reach, east);
+  }
+  // The extent crosses when the widest gap is not the one around ±180
+  const aroundAntimeridian = pieces[0][0] + 360 - reach;
+  if (gap && gap[1] - gap[0] > aroundAntimeridian) return [gap[1], gap[0]];
+  return [pieces[0][0], reach];
+}
+
+// [west, south, east, north] of a feature or geometry, with west > east when
+// it crosses the antimeridian. Features that do not cross get the bbox of
+// turf.bbox.
+function geoBbox(geojson) {
+  const geometry = geojson && geojson.type === 'Feature' ? geojson.geometry : geojson;
+  const parts = extentParts(geometry).filter(part => part.length > 0);
+  if (parts.length === 0) return [Infinity, Infinity, -Infinity, -Infinity];
+  let south = Infinity;
+  let north = -Infinity;
+  const intervals = parts.map(part => {
+    for (const position of part) {
+      if (position[1] < south) south = position[1];
+      if (position[1] > north) north = position[1];
+    }
+    const [west, east] = lonRange(unwrap(part));
+    const shift = wrapShift(west);
+    return [west + shift, east + shift];
+  });
+  const [west, east] = circularExtent(intervals);
+  return [west, south, east, north];
+}
+
+function crossesAntimeridian(bbox) {
+  return bbox[0] > bbox[2];
+}
+
+// A bbox as the boxes either side of the antimeridian when it crosses it
+function splitBbox(bbox) {
+  const [west, south, east, north] = bbox;
+  return west > east ? [[west, south, 180, north], [-180, south, east, north]] : [bbox];
+}
+
+// The smallest bbox covering all of `bboxes`, crossing the antimeridian when
+// that is smaller
+function mergeBboxes(bboxes) {
+  if (bboxes.length === 0) return null;
+  const [west, east] = circularExtent(bboxes.map(([w, , e]) => [w, w > e ? e + 360 : e]));
+  return [
+    west,
+    Math.min(...bboxes.map(bbox => bbox[1])),
+    east,
+    Math.max(...bboxes.map(bbox => bbox[3]))
+  ];
+}
+
+// A geometry with every ring and line unwrapped; the geometry itself when
+// nothing crosses
+function unwrapGeometry(geometry) {
+  if (!geometry) return geometry;
+  const { type, coordinates } = geometry;
+  const unwrapAll = lists => {
+    const unwrapped = lists.map(unwrap);
+    return unwrapped.every((list, i) => list === lists[i]) ? lists : unwrapped;
+  };
+  let unwrapped;
+  switch (type) {
+    case 'LineString':
+      unwrapped = unwrap(coordinates);
+      break;
+    case 'MultiLineString':
+    case 'Polygon':
+      unwrapped = unwrapAll(coordinates);
+      break;
+    case 'MultiPolygon': {
+      const polygons = coordinates.map(unwrapAll);
+      unwrapped = polygons.every((polygon, i) => polygon === coordinates[i]) ? coordinates : polygons;
+      break;
+    }
+    case 'GeometryCollection': {
+      const geometries = geometry.geometries.map(unwrapGeometry);
+      return geometries.every((member, i) => member === geometry.geometries[i]) ? geometry : { type, geometries };
+    }
+    default:
+      return geometry;
+  }
+  return unwrapped === coordinates ? geometry : { type, coordinates: unwrapped };
+}
+
+// Area in square meters on the sphere, also for rings crossing the antimeridian
+function geoArea(geojson) {
+  if (geojson && geojson.type === 'Feature') return geojson.geometry ? turf.area(unwrapGeometry(geojson.geometry)) : 0;
+  return turf.area(unwrapGeometry(geojson));
+}
+
+const WEST_OF = [-180, -90, 180, 90];
+const EAST_OF = [180, -90, 540, 90];
+
+// Polygon rings cut at ±180: the rings unwrapped and moved next to their
+// exterior ring, then clipped either side. A ring around a pole is left as it is.
+function splitPolygon(rings) {
+  const exterior = unwrap(rings[0]);
+  const [west, east] = lonRange(exterior);
+  if (east - west >= 360) return [rings];
+  const shift = wrapShift(west);
+  const middle = (west + east) / 2 + shift;
+  const polygon = [
+    shiftPositions(exterior, shift),
+    ...rings.slice(1).map(ring => {
+      const hole = unwrap(ring);
+      const [holeWest, holeEast] = lonRange(hole);
+      return shiftPositions(hole, 360 * Math.round((middle - (holeWest + holeEast) / 2) / 360));
+    })
+  ];
+  if (east + shift <= 180) return [polygon];
+  const clip = (box, back) => {
+    const clipped = turf.bboxClip({ type: 'Polygon', coordinates: polygon }, box).geometry.coordinates;
+    return clipped.length > 0 ? clipped.map(ring => shiftPositions(ring, back)) : null;
+  };
+  return [clip(WEST_OF, 0), clip(EAST_OF, -360)].filter(Boolean);
+}
+
+function splitLine(positions) {
+  const line = unwrap(positions);
+  const [west, east] = lonRange(line);
+  if (east - west >= 360) return [positions];
+  const shift = wrapShift(west);
+  const shifted = shiftPositions(line, shift);
+  if (east + shift <= 180) return [shifted];
+  const clip = (box, back) => {
+    const { geometry } = turf.bboxClip({ type: 'LineString', coordinates: shifted }, box);
+    const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+    return lines.filter(piece => piece.length >= 2).map(piece => shiftPositions(piece, back));
+  };
+  return [...clip(WEST_OF, 0), ...clip(EAST_OF, -360)];
+}
+
+const wrapPosition = ([lon, ...rest]) => [lon + wrapShift(lon), ...rest];
+
+const single = (type, parts) => parts.length === 1
+  ? { type, coordinates: parts[0] }
+  : { type: `Multi${type}`, coordinates: parts };
+
+function splitGeometry(geometry) {
+  const { type, coordinates } = geometry;
+  switch (type) {
+    case 'Point':
+      return { type, coordinates: wrapPosition(coordinates) };
+    case 'MultiPoint':
+      return { type, coordinates: coordinates.map(wrapPosition) };
+    case 'LineString':
+      return single('LineString', splitLine(coordinates));
+    case 'MultiLineString':
+      return { type, coordinates: coordinates.flatMap(splitLine) };
+    case 'Polygon':
+      return single('Polygon', splitPolygon(coordinates));
+    case 'MultiPolygon':
+      return { type, coordinates: coordinates.flatMap(splitPolygon) };
+    case 'GeometryCollection':
+      return { type, geometries: geometry.geometries.map(splitGeometry) };
+    default:
+      return geometry;
+  }
+}
+
+// Whether every ring, line and point of a geometry already lies within
+// [-180, 180] without crossing
+function withinRange(geometry) {
+  if (geometry.type === 'GeometryCollection') return geometry.geometries.every(withinRange);
+  const lists = {
+    Point: [[geometry.coordinates]],
+    MultiPoint: [geometry.coordinates],
+    LineString: [geometry.coordinates],
+    MultiLineString: geometry.coordinates,
+    Polygon: geometry.coordinates,
+    MultiPolygon: (geometry.coordinates || []).flat()
+  }[geometry.type] || [];
+  return lists.every(positions => {
+    const [west, east] = lonRange(unwrap(positions));
+    return positions.length === 0 || (west >= -180 && east <= 180);
+  });
+}
+
+// A copy of `feature` with its geometry cut at ±180 and every longitude in
+// [-180, 180]; the feature itself when it is already so. A crossing polygon
+// becomes a MultiPolygon with a part either side, a crossing line a
+// MultiLineString.
+function splitAtAntimeridian(feature) {
+  if (!feature.geometry || withinRange(feature.geometry)) return feature;
+  const split = { ...feature, geometry: splitGeometry(feature.geometry) };
+  if (feature.bbox) split.bbox = geoBbox(split);
+  return split;
+}
+
+function createAntimeridianSplitter({ label = 'feature', idKey, logger = console } = {}) {
+  return function split(feature, index) {
+    try {
+      return splitAtAntimeridian(feature);
+    } catch (e) {
+      logger.warn(`Splitting ${label} ${index + 1} (${getFeatureId(feature, idKey)}) at the antimeridian failed:`, e.message);
+      return feature;
+    }
+  };
+}
+
+// Antimeridian stage in front of the linker (lib/stages.js), after
+// validateLevel and before splitLevel (lib/lines.js), for both sides of a link
+// when `splitAntimeridian` is set
+function antimeridianLevel(parentFeatures, children, { splitAntimeridian, level = 1, parentIdKey, childIdKey, logger } = {}) {
+  if (!splitAntimeridian) return { parentFeatures, children };
+  const splitParent = createAntimeridianSplitter({ label: `ADM${level - 1} feature`, idKey: parentIdKey, logger });
+  const splitChild = createAntimeridianSplitter({ label: `ADM${level} feature`, idKey: childIdKey, logger });
+  return {
+    parentFeatures: parentFeatures.map(splitParent),
+    children: mapChildren(children, splitChild)
+  };
+}
+
+module.exports = {
+  unwrap,
+  geoBbox,
+  crossesAntimeridian,
+  splitBbox,
+  mergeBboxes,
+  geoArea,
+  splitAtAntimeridian,
+  antimeridianLevel
+};
@@ -0,0 +1,165 @@
+const { getFeatureId, getFeatureName } = require('./features');
+
+// Property joins for the "attribute" and "hybrid" matching modes. A join
+// compares a property of the child with one of the parent:
+//
+//   exact    the values are equal (compared as strings)
+//   prefix   the child's value starts with the parent's, as hierarchical
+//            codes do (district 2701 in state 27); the longest match wins
+//   name     the normalized values are at least `threshold` similar, by
+//            edit distance (default 0.85)
+//
+// `child` names the child property and `parent` the parent property. For
+// name joins both default to the feature names; for the others `parent`
+// defaults to the parent id (parentIdKey). Joins are tried in order and the
+// first one that picks exactly one parent decides.
+
+const JOIN_TYPES = ['exact', 'prefix', 'name'];
+const DEFAULT_THRESHOLD = 0.85;
+
+// Lower case, accents and punctuation dropped, whitespace collapsed
+function normalizeName(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function nameSimilarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 1 : 1 - editDistance(a, b) / length;
+}
+
+function checkJoins(joins) {
+  if (!Array.isArray(joins) || joins.length === 0) {
+    throw new Error('The attribute and hybrid modes need at least one join');
+  }
+  return joins.map(join => {
+    const { type = 'exact', child, parent, threshold = DEFAULT_THRESHOLD } = join;
+    if (!JOIN_TYPES.includes(type)) {
+      throw new Error(`Unknown join type: ${type} (expected one of ${JOIN_TYPES.join(', ')})`);
+    }
+    if (type !== 'name' && !child) throw new Error(`A ${type} join needs a child property`);
+    if (!(threshold > 0 && threshold <= 1)) throw new Error(`Join threshold must be above 0 and at most 1, got ${threshold}`);
+    return { type, child, parent, threshold };
+  });
+}
+
+// Join from the command line: <type>:<child property>[:<parent property>[:<threshold>]],
+// empty fields keeping their defaults, e.g. "prefix:district_code:state_code"
+// or "name:::0.9"
+function parseJoin(spec) {
+  const [type, child, parent, threshold] = spec.split(':');
+  return checkJoins([{
+    type: type || undefined,
+    child: child || undefined,
+    parent: parent || undefined,
+    threshold: threshold ? Number(threshold) : undefined
+  }])[0];
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Build the lookups for every join once. `match(childFeature)` returns
+// { feature, join, score } for the first join that picks a single parent, or
+// null; `candidates(childFeature)` lists every parent any join considers.
+function createAttributeMatcher(parentFeatures, { joins, parentIdKey, parentNameKey } = {}) {
+  const rules = checkJoins(joins).map(join => {
+    const childValue = feature => join.type === 'name'
+      ? getFeatureName(feature, join.child)
+      : (feature.properties || {})[join.child];
+    const parentValue = feature => join.type === 'name'
+      ? getFeatureName(feature, join.parent || parentNameKey)
+      : getFeatureId(feature, join.parent || parentIdKey);
+
+    if (join.type === 'name') {
+      const names = parentFeatures
+        .map(feature => ({ feature, value: parentValue(feature) }))
+        .filter(entry => !isBlank(entry.value))
+        .map(entry => ({ feature: entry.feature, name: normalizeName(entry.value) }));
+      return { ...join, childValue, names };
+    }
+    const byValue = new Map();
+    for (const feature of parentFeatures) {
+      const value = parentValue(feature);
+      if (isBlank(value)) continue;
+      const key = String(value);
+      if (!byValue.has(key)) byValue.set(key, []);
+      byValue.get(key).push(feature);
+    }
+    return { ...join, childValue, byValue };
+  });
+
+  // Every parent the rule accepts, best first, each with its score
+  function accepted(rule, childFeature) {
+    const value = rule.childValue(childFeature);
+    if (isBlank(value)) return [];
+    const key = String(value);
+
+    if (rule.type === 'exact') {
+      return (rule.byValue.get(key) || []).map(feature => ({ feature, score: 1 }));
+    }
+    if (rule.type === 'prefix') {
+      const found = [];
+      for (let length = key.length; length > 0; length--) {
+        for (const feature of rule.byValue.get(key.slice(0, length)) || []) {
+          found.push({ feature, score: length / key.length });
+        }
+      }
+      return found;
+    }
+    const name = normalizeName(value);
+    const found = [];
+    for (const entry of rule.names) {
+      // Lengths alone can rule most names out before the edit distance
+      const longest = Math.max(name.length, entry.name.length);
+      if (longest > 0 && 1 - Math.abs(name.length - entry.name.length) / longest < rule.threshold) continue;
+      const score = nameSimilarity(name, entry.name);
+      if (score >= rule.threshold) found.push({ feature: entry.feature, score });
+    }
+    return found.sort((a, b) => b.score - a.score);
+  }
+
+  function match(childFeature) {
+    for (let join = 0; join < rules.length; join++) {
+      const [best, next] = accepted(rules[join], childFeature);
+      if (!best) continue;
+      // Two parents scoring the same leave the join undecided
+      if (next && next.score === best.score) continue;
+      return { feature: best.feature, join, score: Number(best.score.toFixed(6)) };
+    }
+    return null;
+  }
+
+  function candidates(childFeature) {
+    const found = new Set();
+    for (const rule of rules) {
+      for (const { feature } of accepted(rule, childFeature)) found.add(feature);
+    }
+    return [...found];
+  }
+
+  return { match, candidates };
+}
+
+module.exports = { JOIN_TYPES, normalizeName, nameSimilarity, parseJoin, createAttributeMatcher };
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const { createWriter, isResumable } = require('./writers');
+const { parseSource } = require('./readers');
+
+// Checkpointed output, for runs long enough to be cut off (CI time limits on
+// the largest countries). Features are written to <file>.partial, and every
+// `every` features the position reached in it is saved to
+// <file>.checkpoint.json together with the caller's own progress (input
+// index, counts, running bbox) from `snapshot()`. What only grows with the
+// run, such as the entries of a report, goes to <file>.checkpoint.log
+// (`logFile`) instead, with its size in the snapshot. A later run with
+// `resume` cuts the partial file back to the last checkpoint and appends to
+// it; end() completes it and renames it to <file>, so <file> itself is only
+// ever missing or complete.
+
+// Replace `file` in one step, so a crash never leaves half of it behind
+function writeFileAtomic(file, text) {
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, text);
+  fs.renameSync(tmpFile, file);
+}
+
+// Size and modification time of an input, to tell whether a checkpoint
+// still belongs to it
+function fileStamp(source) {
+  const stat = fs.statSync(parseSource(source).file);
+  return { source, size: stat.size, mtime: stat.mtimeMs };
+}
+
+class CheckpointedOutput {
+  constructor(file, format = 'geojson', { writerOptions, key = null, every = 1000, resume = false, snapshot = () => null, logger = console } = {}) {
+    if (!isResumable(format)) throw new Error(`Output format ${format} cannot be checkpointed`);
+    if (!Number.isInteger(every) || every < 1) throw new Error(`Invalid checkpoint interval: ${every}`);
+    this.file = file;
+    this.partialFile = `${file}.partial`;
+    this.checkpointFile = `${file}.checkpoint.json`;
+    this.logFile = `${file}.checkpoint.log`;
+    this.key = key;
+    this.every = every;
+    this.snapshot = snapshot;
+
+    const checkpoint = resume ? this.load(logger) : null;
+    if (!checkpoint) {
+      fs.rmSync(this.checkpointFile, { force: true });
+      fs.rmSync(this.logFile, { force: true });
+    }
+    // The caller's snapshot() at the checkpoint resumed from, or null
+    this.state = checkpoint ? checkpoint.state : null;
+    this.writer = createWriter(this.partialFile, format, {
+      ...writerOptions,
+      ...(checkpoint && { resume: { bytes: checkpoint.bytes, count: checkpoint.count } })
+    });
+  }
+
+  load(logger) {
+    if (!fs.existsSync(this.checkpointFile)) {
+      logger.log(`No checkpoint at ${this.checkpointFile}, starting from the beginning`);
+      return null;
+    }
+    const checkpoint = JSON.parse(fs.readFileSync(this.checkpointFile, 'utf8'));
+    if (JSON.stringify(checkpoint.key) !== JSON.stringify(this.key)) {
+      throw new Error(`${this.checkpointFile} was written for other inputs or options; remove it to start over`);
+    }
+    if (!fs.existsSync(this.partialFile)) throw new Error(`${this.partialFile} is missing; remove ${this.checkpointFile} to start over`);
+    logger.log(`Resuming ${this.file} after ${checkpoint.count} features`);
+    return checkpoint;
+  }
+
+  get count() {
+    return this.writer.count;
+  }
+
+  async write(feature) {
+    await this.writer.write(feature);
+    if (this.writer.count % this.every === 0) await this.save();
+  }
+
+  async save() {
+    const { bytes, count } = await this.writer.position();
+    writeFileAtomic(this.checkpointFile, JSON.stringify({ key: this.key, bytes, count, state: this.snapshot() }));
+  }
+
+  // `members` as for the writer's own end()
+  async end(members) {
+    await this.writer.end(members);
+    fs.rmSync(this.checkpointFile, { force: true });
+    fs.rmSync(this.logFile, { force: true });
+    fs.renameSync(this.partialFile, this.file);
+  }
+}
+
+// The features of `iterable` after the first `count`
+async function* skipFeatures(iterable, count) {
+  let index = 0;
+  for await (const feature of iterable) {
+    if (index++ >= count) yield feature;
+  }
+}
+
+module.exports = { CheckpointedOutput, writeFileAtomic, fileStamp, skipFeatures };
@@ -0,0 +1,63 @@
+const { readAllFeatures } = require('../readers');
+const { checkCoverage, writeCoverage } = require('../coverage');
+
+const usage = `Usage: geojson-parent-linker coverage --parent <file> --child <file> --out-dir <dir> [options]
+
+Check that the children linked to each parent tile it. For every parent, its
+children (by parent id) are unioned to find the share of the parent they
+cover, the gaps they leave and the overlaps between siblings. Writes
+coverage.geojson (parents with their coverage), gaps.geojson,
+overlaps.geojson and coverage_report.json/.txt.
+
+Options:
+  --parent <file>            parent level
+  --child <file>             linked child level (as written by link, hierarchy
+                             or pipeline)
+  --out-dir <dir>            directory for the layers and report (default .)
+  --id-key <key>             parent id property (default shapeID, then feature id)
+  --name-key <key>           parent name property (default shapeName, then shapename)
+  --child-id-key <key>       child id property, used to label overlaps
+  --id-field <name>          property holding the parent id (default parent_id)
+  --min-area <m2>            leave out gaps and overlaps smaller than this
+                             (default 0)
+  --min-coverage <ratio>     list parents covered below this share (default 0.99)`;
+
+const options = {
+  parent: { type: 'string' },
+  child: { type: 'string' },
+  'out-dir': { type: 'string', default: '.' },
+  'id-key': { type: 'string' },
+  'name-key': { type: 'string' },
+  'child-id-key': { type: 'string' },
+  'id-field': { type: 'string', default: 'parent_id' },
+  'min-area': { type: 'string', default: '0' },
+  'min-coverage': { type: 'string', default: '0.99' }
+};
+
+async function run(values) {
+  const missing = ['parent', 'child'].filter(name => !values[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required option(s): ${missing.map(name => `--${name}`).join(', ')}`);
+  }
+  const minArea = Number(values['min-area']);
+  if (!(minArea >= 0)) throw new Error(`--min-area must be a number of square metres, got ${values['min-area']}`);
+  const minCoverage = Number(values['min-coverage']);
+  if (!(minCoverage >= 0 && minCoverage <= 1)) {
+    throw new Error(`--min-coverage must be between 0 and 1, got ${values['min-coverage']}`);
+  }
+
+  const parentFeatures = await readAllFeatures(values.parent);
+  const childFeatures = await readAllFeatures(values.child);
+  console.log(`Checking coverage of ${parentFeatures.length} parents by ${childFeatures.length} children`);
+  const result = checkCoverage(parentFeatures, childFeatures, {
+    idKey: values['id-key'],
+    nameKey: values['name-key'],
+    childIdKey: values['child-id-key'],
+    idField: values['id-field'],
+    minArea,
+    minCoverage
+  });
+  writeCoverage(result, parentFeatures, values['out-dir']);
+}
+
+module.exports = { summary: 'check that linked children cover their parents', usage, options, run };
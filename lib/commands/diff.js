@@ -0,0 +1,77 @@
+const { readAllFeatures } = require('../readers');
+const { diffLevels, diffToText, writeDiff } = require('../diff');
+
+const usage = `Usage: geojson-parent-linker diff --old <file> --new <file> [options]
+
+Compare two releases of the same level and classify every unit as unchanged,
+renamed, geometry-modified, split, merged, added or removed, matching units
+by overlap rather than by id. For linked levels (as written by link,
+hierarchy or pipeline), children whose parent changed are listed as well.
+
+Options:
+  --old <file>               level from the old release
+  --new <file>               the same level from the new release
+  --out <file>               write the diff as JSON plus a .txt changelog
+                             (default: print the changelog only)
+  --old-parent <file>        parent level of the old release and
+  --new-parent <file>        of the new one; parents are then matched across
+                             releases by overlap instead of by name
+  --id-key <key>             id property (default shapeID, then feature id)
+  --name-key <key>           name property (default shapeName, then shapename)
+  --id-field <name>          property holding the parent id (default parent_id)
+  --name-field <name>        property holding the parent name (default parent_name)
+  --min-overlap <ratio>      share of either unit two units must overlap by to
+                             correspond (default 0.05)
+  --tolerance <ratio>        area difference still counted as unchanged
+                             (default 0.001)`;
+
+const options = {
+  old: { type: 'string' },
+  new: { type: 'string' },
+  out: { type: 'string' },
+  'old-parent': { type: 'string' },
+  'new-parent': { type: 'string' },
+  'id-key': { type: 'string' },
+  'name-key': { type: 'string' },
+  'id-field': { type: 'string', default: 'parent_id' },
+  'name-field': { type: 'string', default: 'parent_name' },
+  'min-overlap': { type: 'string', default: '0.05' },
+  tolerance: { type: 'string', default: '0.001' }
+};
+
+function ratio(values, name) {
+  const value = Number(values[name]);
+  if (!(value >= 0 && value <= 1)) throw new Error(`--${name} must be between 0 and 1, got ${values[name]}`);
+  return value;
+}
+
+async function run(values) {
+  const missing = ['old', 'new'].filter(name => !values[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required option(s): ${missing.map(name => `--${name}`).join(', ')}`);
+  }
+  if (Boolean(values['old-parent']) !== Boolean(values['new-parent'])) {
+    throw new Error('--old-parent and --new-parent must be given together');
+  }
+
+  const diffOptions = {
+    idKey: values['id-key'],
+    nameKey: values['name-key'],
+    idField: values['id-field'],
+    nameField: values['name-field'],
+    minOverlap: ratio(values, 'min-overlap'),
+    tolerance: ratio(values, 'tolerance')
+  };
+  let parentDiff;
+  if (values['old-parent']) {
+    console.log(`Matching parents of ${values['old-parent']} and ${values['new-parent']}`);
+    parentDiff = diffLevels(await readAllFeatures(values['old-parent']), await readAllFeatures(values['new-parent']), diffOptions);
+  }
+  const diff = diffLevels(await readAllFeatures(values.old), await readAllFeatures(values.new), { ...diffOptions, parentDiff });
+
+  const title = `${values.old} -> ${values.new}`;
+  if (values.out) writeDiff(diff, values.out, { title });
+  else console.log(diffToText(diff, { title }));
+}
+
+module.exports = { summary: 'compare two releases of a level', usage, options, run };
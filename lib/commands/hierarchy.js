@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { linkFeatures } = require('../parallel');
+const { linkIncremental, loadLinkState, saveLinkState } = require('../incremental');
+const { readFeatureFile, readAllFeatures } = require('../readers');
+const { extensionFor } = require('../writers');
+const { sizedOutputs, writeOutputs } = require('../output');
+const { LinkReport, writeReport } = require('../report');
+const { HierarchyTree } = require('../tree');
+const { linkOptions, modeHelp, schemaHelp, sizeHelp, formatHelp, matchOptions, outputFormats, outputSchema, sizeOptions } = require('./options');
+const { writeTree } = require('./tree');
+
+const usage = `Usage: geojson-parent-linker hierarchy [options] <ADM0 file> <ADM1 file> [<ADM2 file> ...]
+
+Link an ordered list of levels, top level first, in a single run. Every level
+below the first is written to adm<N>_with_parent.<ext>, once per format.
+Level files may be in any input format accepted by link, including
+<file>#<layer> for one layer of a zip or topology.
+
+Options:
+  --out-dir <dir>            directory for the output files (default .)
+  ${modeHelp}
+  --format <format>[,...]    ${formatHelp}
+                             (default geojson)
+  ${schemaHelp}
+  ${sizeHelp}
+  --id-key <key>             id property on every level (default shapeID, then feature id)
+  --name-key <key>           name property on every level (default shapeName, then shapename)
+  --id-field <name>          property written with the parent id (default parent_id)
+  --name-field <name>        property written with the parent name (default parent_name)
+  --report                   write adm<N>_report.json/.txt quality reports to --out-dir
+  --validate                 check geometries for defects before linking
+  --repair                   check and repair them (see link --help)
+  --split-lines              cut line children at parent boundaries and link
+                             each piece on its own (adds split_part)
+  --split-antimeridian       write children crossing ±180 cut into a part either
+                             side (they are matched so cut either way)
+  --incremental              keep adm<N>_link_state.json in --out-dir and only
+                             relink children that changed since the last run
+  --tree                     write tree.json (nested) and tree_adjacency.json to --out-dir
+  --workers <n>|auto         worker threads per level (default 1)`;
+
+const options = {
+  ...linkOptions,
+  'out-dir': { type: 'string', default: '.' },
+  'id-key': { type: 'string' },
+  'name-key': { type: 'string' },
+  report: { type: 'boolean', default: false },
+  incremental: { type: 'boolean', default: false },
+  tree: { type: 'boolean', default: false }
+};
+
+// Write a level in every format (see lib/output.js), optionally keeping its
+// features as linked when it is the parent of the next level
+async function writeLevel(outputs, features, keep, writerOptions, shape) {
+  const count = await writeOutputs(outputs, features, { writerOptions, shape, keep });
+  console.log(`${count} features written to ${outputs.map(output => output.file).join(', ')}`);
+}
+
+async function* addToTree(tree, level, features) {
+  for await (const feature of features) {
+    tree.add(level, feature);
+    yield feature;
+  }
+}
+
+async function run(values, levelFiles) {
+  if (levelFiles.length < 2) throw new Error('At least two level files are required');
+
+  const size = sizeOptions(values);
+  const outputs = level => sizedOutputs(outputFormats(values).map(format => ({
+    format,
+    file: path.join(values['out-dir'], `adm${level}_with_parent.${extensionFor(format)}`)
+  })), size);
+  const linkerOptions = {
+    mode: values.mode,
+    ...matchOptions(values),
+    parentIdKey: values['id-key'],
+    parentNameKey: values['name-key'],
+    childIdKey: values['id-key'],
+    childNameKey: values['name-key'],
+    idField: values['id-field'],
+    nameField: values['name-field']
+  };
+
+  const shape = outputSchema(values, values['id-key']);
+
+  fs.mkdirSync(values['out-dir'], { recursive: true });
+  const deepest = levelFiles.length - 1;
+  let parentFeatures = await readAllFeatures(levelFiles[0]);
+  const tree = values.tree && new HierarchyTree({
+    idKey: values['id-key'],
+    nameKey: values['name-key'],
+    idField: values['id-field']
+  });
+  if (tree) parentFeatures.forEach(feature => tree.add(0, feature));
+
+  // Every level is streamed from disk; all but the deepest are also kept in
+  // memory as the parents of the next level
+  for (let level = 1; level <= deepest; level++) {
+    console.log(`Linking ADM${level} to ADM${level - 1} (${parentFeatures.length} parents)`);
+    const report = values.report && new LinkReport({ ...linkerOptions, level, parentFeatures });
+    const stepOptions = {
+      ...linkerOptions,
+      level,
+      workers: values.workers,
+      validate: values.validate,
+      repair: values.repair,
+      splitAntimeridian: values['split-antimeridian'],
+      splitLines: values['split-lines'],
+      ...(report && {
+        onLink: report.record.bind(report),
+        onValidate: report.recordGeometry.bind(report),
+        collectCandidates: true
+      })
+    };
+    const stateFile = path.join(values['out-dir'], `adm${level}_link_state.json`);
+    const incremental = values.incremental &&
+      linkIncremental(parentFeatures, readFeatureFile(levelFiles[level]), { ...stepOptions, previous: loadLinkState(stateFile) });
+    const linked = incremental ? incremental.features : linkFeatures(parentFeatures, readFeatureFile(levelFiles[level]), stepOptions);
+    const kept = level < deepest ? [] : null;
+    await writeLevel(outputs(level), tree ? addToTree(tree, level, linked) : linked, kept, {
+      idKey: values['id-key'],
+      nameKey: values['name-key'],
+      idField: values['id-field'],
+      nameField: values['name-field']
+    }, shape);
+    if (incremental) {
+      saveLinkState(stateFile, incremental.state);
+      console.log(`${incremental.stats.relinked} linked, ${incremental.stats.reused} reused from the last run`);
+    }
+    if (report) writeReport(report, path.join(values['out-dir'], `adm${level}_report.json`));
+    parentFeatures = kept;
+  }
+  if (tree) {
+    writeTree(tree, path.join(values['out-dir'], 'tree.json'), path.join(values['out-dir'], 'tree_adjacency.json'));
+  }
+  console.log('Done!');
+}
+
+module.exports = { summary: 'link an ordered list of levels in one run', usage, options, run };
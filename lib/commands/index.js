@@ -0,0 +1,10 @@
+module.exports = {
+  link: require('./link'),
+  hierarchy: require('./hierarchy'),
+  pipeline: require('./pipeline'),
+  lookup: require('./lookup'),
+  serve: require('./serve'),
+  tree: require('./tree'),
+  diff: require('./diff'),
+  coverage: require('./coverage')
+};
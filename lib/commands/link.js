@@ -0,0 +1,182 @@
+const { linkFeatures } = require('../parallel');
+const { linkIncremental, loadLinkState, saveLinkState } = require('../incremental');
+const { readFeatureFile, readAllFeatures } = require('../readers');
+const { CheckpointedOutput, fileStamp, skipFeatures } = require('../checkpoint');
+const { loadSchema } = require('../schema');
+const { sizedOutputs, writeOutputs } = require('../output');
+const { LinkReport, writeReport } = require('../report');
+const { linkOptions, modeHelp, schemaHelp, sizeHelp, formatHelp, matchOptions, outputFormat, outputSchema, sizeOptions } = require('./options');
+
+const usage = `Usage: geojson-parent-linker link --parent <file> --child <file> --out <file> [options]
+
+Link every child feature to the parent feature that contains it.
+
+Inputs may be GeoJSON, NDJSON/GeoJSONSeq, Shapefiles (.shp or .zip),
+TopoJSON or FlatGeobuf; use <file>#<layer> to pick a layer of a zip or
+topology.
+
+Options:
+  --parent <file>            parent level
+  --child <file>             child level (streamed)
+  --out <file>               output file
+  --level <n>                level number of the child file (default 1)
+  ${modeHelp}
+  --format <format>          ${formatHelp}
+                             (default from --out extension: .ndjson, .geojsons,
+                             .csv, .json, .topojson, .fgb; GeoJSON otherwise)
+  ${schemaHelp}
+  ${sizeHelp}
+  --parent-id-key <key>      parent id property (default shapeID, then feature id)
+  --parent-name-key <key>    parent name property (default shapeName, then shapename)
+  --child-id-key <key>       child id property, used in logs and lookup tables
+  --child-name-key <key>     child name property, used in lookup tables and the
+                             report (default shapeName, then shapename)
+  --id-field <name>          property written with the parent id (default parent_id)
+  --name-field <name>        property written with the parent name (default parent_name)
+  --report <file>            write a linkage quality report (JSON, plus a .txt summary)
+  --validate                 check geometries for defects before linking
+  --repair                   check and repair them (close rings, drop duplicate
+                             vertices, fix winding, resolve self-intersections)
+  --split-lines              cut line children at parent boundaries and link
+                             each piece on its own (adds split_part)
+  --split-antimeridian       write children crossing ±180 cut into a part either
+                             side (they are matched so cut either way)
+  --state <file>             keep per-feature hashes in <file>; on later runs only
+                             children that changed, or whose candidate parents
+                             changed, are linked again
+  --workers <n>|auto         link children on worker threads (default 1)
+  --checkpoint               write to <out>.partial and save progress to
+                             <out>.checkpoint.json as it goes; <out> appears
+                             when the run completes (geojson, ndjson,
+                             geojsonseq, csv and table output)
+  --checkpoint-every <n>     features between checkpoints (default 1000)
+  --resume                   continue from the checkpoint of an interrupted
+                             --checkpoint run (implies --checkpoint; not with
+                             --simplify or --variant)`;
+
+const options = {
+  ...linkOptions,
+  parent: { type: 'string' },
+  child: { type: 'string' },
+  out: { type: 'string' },
+  level: { type: 'string', default: '1' },
+  'parent-id-key': { type: 'string' },
+  'parent-name-key': { type: 'string' },
+  'child-id-key': { type: 'string' },
+  'child-name-key': { type: 'string' },
+  report: { type: 'string' },
+  state: { type: 'string' },
+  checkpoint: { type: 'boolean', default: false },
+  'checkpoint-every': { type: 'string', default: '1000' },
+  resume: { type: 'boolean', default: false }
+};
+
+async function* logProgress(features, count) {
+  for await (const feature of features) {
+    yield feature;
+    if (++count % 1000 === 0) console.log(`Processed ${count} features`);
+  }
+}
+
+async function run(values) {
+  const missing = ['parent', 'child', 'out'].filter(name => !values[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required option(s): ${missing.map(name => `--${name}`).join(', ')}`);
+  }
+
+  const level = Number(values.level);
+  if (!Number.isInteger(level) || level < 1) throw new Error(`Invalid --level: ${values.level} (expected a positive integer)`);
+  const every = Number(values['checkpoint-every']);
+  if (!Number.isInteger(every) || every < 1) {
+    throw new Error(`Invalid --checkpoint-every: ${values['checkpoint-every']} (expected a positive integer)`);
+  }
+
+  const parentFeatures = await readAllFeatures(values.parent);
+  const linkerOptions = {
+    level,
+    mode: values.mode,
+    ...matchOptions(values),
+    parentIdKey: values['parent-id-key'],
+    parentNameKey: values['parent-name-key'],
+    childIdKey: values['child-id-key'],
+    childNameKey: values['child-name-key'],
+    idField: values['id-field'],
+    nameField: values['name-field']
+  };
+  const report = values.report && new LinkReport({ ...linkerOptions, parentFeatures });
+  const format = outputFormat(values, values.out);
+  const writerOptions = {
+    idKey: values['child-id-key'],
+    nameKey: values['child-name-key'],
+    idField: values['id-field'],
+    nameField: values['name-field']
+  };
+  const shape = outputSchema(values, values['child-id-key']);
+  const size = sizeOptions(values);
+  const outputs = sizedOutputs([{ file: values.out, format }], size);
+  const checkpointed = values.checkpoint || values.resume;
+  if (checkpointed && values.state) throw new Error('--state cannot be combined with --checkpoint or --resume');
+  // A checkpoint counts input children by the features written
+  if (checkpointed && values['split-lines']) throw new Error('--split-lines cannot be combined with --checkpoint or --resume');
+  // Simplification needs the whole level in memory, which a checkpoint does not keep
+  if (checkpointed && (size.simplify || outputs.length > 1)) {
+    throw new Error('--simplify and --variant cannot be combined with --checkpoint or --resume');
+  }
+  const checkpoint = checkpointed &&
+    new CheckpointedOutput(values.out, format, {
+      writerOptions,
+      key: {
+        parent: fileStamp(values.parent),
+        child: fileStamp(values.child),
+        format,
+        schema: values.schema ? loadSchema(values.schema) : null,
+        size,
+        report: Boolean(report),
+        options: {
+          ...linkerOptions,
+          validate: values.validate,
+          repair: values.repair,
+          splitAntimeridian: values['split-antimeridian']
+        }
+      },
+      every,
+      resume: values.resume,
+      snapshot: () => ({ report: report ? report.snapshot(checkpoint.count, checkpoint.logFile) : null })
+    });
+  const skip = checkpoint && checkpoint.state ? checkpoint.count : 0;
+  if (report && skip > 0) report.restore(checkpoint.state.report, checkpoint.logFile);
+  // Report indexes count from the start of the child file, also when resuming
+  const fromStart = details => details.role === 'parent' ? details : { ...details, index: details.index + skip };
+
+  const stepOptions = {
+    ...linkerOptions,
+    workers: values.workers,
+    validate: values.validate,
+    repair: values.repair,
+    splitAntimeridian: values['split-antimeridian'],
+    splitLines: values['split-lines'],
+    ...(report && {
+      onLink: (childFeature, parentFeature, details) => report.record(childFeature, parentFeature, fromStart(details)),
+      onValidate: (feature, result, details) => report.recordGeometry(feature, result, fromStart(details)),
+      collectCandidates: true
+    })
+  };
+  const children = skipFeatures(readFeatureFile(values.child), skip);
+  const incremental = values.state &&
+    linkIncremental(parentFeatures, children, { ...stepOptions, previous: loadLinkState(values.state) });
+  const linked = incremental ? incremental.features : linkFeatures(parentFeatures, children, stepOptions);
+
+  const count = skip + await writeOutputs(outputs, logProgress(linked, skip), {
+    writerOptions,
+    shape,
+    open: checkpoint ? () => checkpoint : undefined
+  });
+  console.log(`Done! ${count} features written to ${outputs.map(output => output.file).join(', ')}`);
+  if (incremental) {
+    saveLinkState(values.state, incremental.state);
+    console.log(`${incremental.stats.relinked} linked, ${incremental.stats.reused} reused from ${values.state}`);
+  }
+  if (report) writeReport(report, values.report);
+}
+
+module.exports = { summary: 'link one child level to its parent level', usage, options, run };
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const readline = require('readline');
+const { PointLookup } = require('../lookup');
+const { readAllFeatures } = require('../readers');
+const { parseCsvLine, formatCsvLine } = require('../csv');
+const { createOutputStream, streamEvent } = require('../writers/bufferedWriter');
+
+const usage = `Usage: geojson-parent-linker lookup [options] <ADM0 file> [<ADM1 file> ...]
+
+Find the chain of units containing a point, using linked level files (top
+level first, as written by hierarchy or pipeline).
+
+Single point (prints JSON):
+  --lon <lon> --lat <lat>
+
+Batch (.csv or .ndjson in, same format out):
+  --points <file>            CSV with a header row, or NDJSON with one
+                             {"lon":..,"lat":..} object or Point feature per line
+  --out <file>               results; CSV gets adm<N>_id/adm<N>_name columns,
+                             NDJSON a "hierarchy" array (in properties for features)
+  --lon-column <name>        CSV longitude column (default lon, lng, longitude or x)
+  --lat-column <name>        CSV latitude column (default lat, latitude or y)
+
+Options:
+  --id-key <key>             id property on every level (default shapeID, then feature id)
+  --name-key <key>           name property on every level (default shapeName, then shapename)`;
+
+const options = {
+  lon: { type: 'string' },
+  lat: { type: 'string' },
+  points: { type: 'string' },
+  out: { type: 'string' },
+  'lon-column': { type: 'string' },
+  'lat-column': { type: 'string' },
+  'id-key': { type: 'string' },
+  'name-key': { type: 'string' }
+};
+
+function findColumn(header, explicit, names) {
+  const lower = header.map(column => column.trim().toLowerCase());
+  const index = explicit ? header.indexOf(explicit) : lower.findIndex(column => names.includes(column));
+  if (index === -1) throw new Error(`Column not found: ${explicit || names.join('/')}`);
+  return index;
+}
+
+async function writeLine(stream, line) {
+  if (stream.errored) throw stream.errored;
+  if (!stream.write(line + '\n')) await streamEvent(stream, 'drain');
+}
+
+async function lookupCsv(lookup, values, levelCount) {
+  const lines = readline.createInterface({ input: fs.createReadStream(values.points, { encoding: 'utf8' }), crlfDelay: Infinity });
+  const out = createOutputStream(values.out);
+  let lonIndex, latIndex;
+  let count = 0;
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const fields = parseCsvLine(line);
+    if (lonIndex === undefined) {
+      lonIndex = findColumn(fields, values['lon-column'], ['lon', 'lng', 'longitude', 'x']);
+      latIndex = findColumn(fields, values['lat-column'], ['lat', 'latitude', 'y']);
+      const levelColumns = [];
+      for (let level = 0; level < levelCount; level++) levelColumns.push(`adm${level}_id`, `adm${level}_name`);
+      await writeLine(out, formatCsvLine([...fields, ...levelColumns]));
+      continue;
+    }
+
+    const chain = lookup.lookup(Number(fields[lonIndex]), Number(fields[latIndex]));
+    const levelValues = [];
+    for (let level = 0; level < levelCount; level++) {
+      const unit = chain.find(entry => entry.level === level);
+      levelValues.push(unit ? unit.shapeID : null, unit ? unit.shapeName : null);
+    }
+    await writeLine(out, formatCsvLine([...fields, ...levelValues]));
+    count++;
+  }
+
+  out.end();
+  await streamEvent(out, 'finish');
+  return count;
+}
+
+async function lookupNdjson(lookup, values) {
+  const lines = readline.createInterface({ input: fs.createReadStream(values.points, { encoding: 'utf8' }), crlfDelay: Infinity });
+  const out = createOutputStream(values.out);
+  let count = 0;
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const record = JSON.parse(line);
+    if (record.type === 'Feature') {
+      const [lon, lat] = record.geometry.coordinates;
+      record.properties = { ...record.properties, hierarchy: lookup.lookup(lon, lat) };
+    } else {
+      record.hierarchy = lookup.lookup(record.lon, record.lat);
+    }
+    await writeLine(out, JSON.stringify(record));
+    count++;
+  }
+
+  out.end();
+  await streamEvent(out, 'finish');
+  return count;
+}
+
+async function run(values, levelFiles) {
+  if (levelFiles.length === 0) throw new Error('At least one level file is required');
+  const single = values.lon !== undefined || values.lat !== undefined;
+  if (single && (values.lon === undefined || values.lat === undefined)) throw new Error('--lon and --lat go together');
+  if (!single && !(values.points && values.out)) throw new Error('Either --lon/--lat or --points with --out is required');
+
+  const levels = [];
+  for (const file of levelFiles) levels.push(await readAllFeatures(file));
+  const lookup = new PointLookup(levels, { idKey: values['id-key'], nameKey: values['name-key'] });
+
+  if (single) {
+    console.log(JSON.stringify(lookup.lookup(Number(values.lon), Number(values.lat)), null, 2));
+    return;
+  }
+
+  const count = /\.csv$/i.test(values.points)
+    ? await lookupCsv(lookup, values, levels.length)
+    : await lookupNdjson(lookup, values);
+  console.log(`Done! ${count} points written to ${values.out}`);
+}
+
+module.exports = { summary: 'find the units containing points', usage, options, run };
@@ -0,0 +1,109 @@
+const { formatFromFile } = require('../writers');
+const { parseJoin } = require('../attributes');
+const { compileSchema, loadSchema } = require('../schema');
+const { parseVariant } = require('../output');
+const { MODES, GEOMETRY_MODES } = require('../linker');
+
+// parseArgs option definitions shared by several commands
+
+const linkOptions = {
+  mode: { type: 'string', default: 'first' },
+  join: { type: 'string', multiple: true },
+  'geometry-mode': { type: 'string' },
+  format: { type: 'string' },
+  'id-field': { type: 'string', default: 'parent_id' },
+  'name-field': { type: 'string', default: 'parent_name' },
+  workers: { type: 'string', default: '1' },
+  validate: { type: 'boolean', default: false },
+  repair: { type: 'boolean', default: false },
+  'split-lines': { type: 'boolean', default: false },
+  'split-antimeridian': { type: 'boolean', default: false },
+  schema: { type: 'string' },
+  simplify: { type: 'string' },
+  precision: { type: 'string' },
+  'drop-bbox': { type: 'boolean', default: false },
+  variant: { type: 'string', multiple: true }
+};
+
+const modeHelp = `--mode <mode>              matching mode: first, area, attribute or hybrid
+                             (default first)
+  --join <join>              property join for the attribute and hybrid modes,
+                             repeatable: <type>:<child property>[:<parent
+                             property>[:<threshold>]] with type exact, prefix
+                             or name, e.g. prefix:district_code:state_code
+  --geometry-mode first|area geometric matching in those modes (default area)`;
+
+const schemaHelp = `--schema <file>            output property schema (JSON): properties to keep,
+                             renames, ancestor fields such as adm1_id and typed
+                             defaults (see lib/schema.js)`;
+
+const sizeHelp = `--simplify <tolerance>     simplify written geometry (degrees), keeping
+                             borders shared between units shared
+  --precision <n>            round written coordinates to <n> decimals
+  --drop-bbox                leave out the per-feature bbox
+  --variant <name>:<tolerance>[:<precision>]
+                             also write a simplified copy of every output
+                             as <file>.<name>.<ext>, repeatable (e.g. z4:0.05:3)`;
+
+const formatHelp = 'geojson, ndjson, geojsonseq, csv, table, topojson or flatgeobuf';
+
+// The attribute matching options of createLinker from --join/--geometry-mode,
+// after checking --mode
+function matchOptions(values) {
+  if (!MODES.includes(values.mode)) throw new Error(`Unknown --mode: ${values.mode} (expected ${MODES.join(', ')})`);
+  const geometryMode = values['geometry-mode'];
+  if (geometryMode && !GEOMETRY_MODES.includes(geometryMode)) {
+    throw new Error(`Unknown --geometry-mode: ${geometryMode} (expected ${GEOMETRY_MODES.join(' or ')})`);
+  }
+  const byAttributes = values.mode === 'attribute' || values.mode === 'hybrid';
+  if (byAttributes && !values.join) throw new Error(`--mode ${values.mode} needs at least one --join`);
+  if (!byAttributes && (values.join || values['geometry-mode'])) {
+    throw new Error('--join and --geometry-mode only apply to --mode attribute or hybrid');
+  }
+  return byAttributes ? { joins: values.join.map(parseJoin), geometryMode: values['geometry-mode'] } : {};
+}
+
+// Output format from --format, else from the output file extension
+function outputFormat(values, file) {
+  return values.format || formatFromFile(file);
+}
+
+// Comma-separated --format list, for commands writing one file per format
+function outputFormats(values) {
+  return (values.format || 'geojson').split(',').map(format => format.trim()).filter(Boolean);
+}
+
+// The feature shaping of --schema, or null to write features as linked
+function outputSchema(values, idKey) {
+  return values.schema ? compileSchema(loadSchema(values.schema), { idKey }) : null;
+}
+
+// The output size options of lib/output.js from --simplify, --precision,
+// --drop-bbox and --variant
+function sizeOptions(values) {
+  const number = name => {
+    if (values[name] === undefined) return undefined;
+    const value = Number(values[name]);
+    if (values[name].trim() === '' || !Number.isFinite(value)) throw new Error(`Invalid --${name}: ${values[name]}`);
+    return value;
+  };
+  return {
+    simplify: number('simplify'),
+    precision: number('precision'),
+    bbox: !values['drop-bbox'],
+    variants: (values.variant || []).map(parseVariant)
+  };
+}
+
+module.exports = {
+  linkOptions,
+  modeHelp,
+  schemaHelp,
+  sizeHelp,
+  formatHelp,
+  matchOptions,
+  outputFormat,
+  outputFormats,
+  outputSchema,
+  sizeOptions
+};
@@ -0,0 +1,45 @@
+const { runPipeline } = require('../pipeline');
+
+const usage = `Usage: geojson-parent-linker pipeline <pipeline.json|pipeline.yaml> [options]
+
+Resolve every level of a pipeline definition (local files or cached
+downloads) and run the linking chain, skipping levels whose inputs and
+options have not changed since the last run.
+
+Options:
+  --offline                  never download; fail if a URL is not in the cache
+  --fetch-only               resolve and cache all sources, then stop
+  --force                    relink every level even if unchanged
+  --cache-dir <dir>          download cache (default .cache/geojson-parent-linker
+                             next to the definition)
+  --out-dir <dir>            output directory (overrides the definition's outDir)
+                             Both directories are relative to the current
+                             directory; those in the definition are relative
+                             to the definition file.
+  --workers <n>|auto         worker threads per level (overrides the definition's workers)`;
+
+const options = {
+  offline: { type: 'boolean', default: false },
+  'fetch-only': { type: 'boolean', default: false },
+  force: { type: 'boolean', default: false },
+  'cache-dir': { type: 'string' },
+  'out-dir': { type: 'string' },
+  workers: { type: 'string' }
+};
+
+async function run(values, positionals) {
+  if (positionals.length !== 1) throw new Error('Exactly one pipeline definition file is required');
+
+  const { steps } = await runPipeline(positionals[0], {
+    offline: values.offline,
+    fetchOnly: values['fetch-only'],
+    force: values.force,
+    cacheDir: values['cache-dir'],
+    outDir: values['out-dir'],
+    workers: values.workers
+  });
+  const skipped = steps.filter(step => step.skipped).length;
+  console.log(`Done! ${steps.length - skipped} level(s) linked, ${skipped} unchanged`);
+}
+
+module.exports = { summary: 'run a pipeline definition file', usage, options, run };
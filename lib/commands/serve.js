@@ -0,0 +1,59 @@
+const { once } = require('events');
+const { readAllFeatures } = require('../readers');
+const { UnitIndex, createLookupServer } = require('../server');
+
+const usage = `Usage: geojson-parent-linker serve [options] <ADM0 file> [<ADM1 file> ...]
+
+Serve linked level files (top level first, as written by hierarchy or
+pipeline) over HTTP:
+
+  GET /lookup?lon=<lon>&lat=<lat>    units containing the point, top first
+  GET /units/<id>                    one unit
+  GET /units/<id>/children           the units linked to it
+  GET /units/<id>/ancestors          the units above it, top first
+
+Responses are GeoJSON; add ?format=ids for { level, shapeID, shapeName,
+parent_id } summaries without geometry.
+
+Options:
+  --port <n>                 port to listen on (default 8080)
+  --host <host>              address to listen on (default 127.0.0.1)
+  --cors <origin>            send Access-Control-Allow-Origin: <origin>
+  --id-key <key>             id property on every level (default shapeID, then feature id)
+  --name-key <key>           name property on every level (default shapeName, then shapename)
+  --id-field <name>          property holding the parent id (default parent_id)`;
+
+const options = {
+  port: { type: 'string', default: '8080' },
+  host: { type: 'string', default: '127.0.0.1' },
+  cors: { type: 'string' },
+  'id-key': { type: 'string' },
+  'name-key': { type: 'string' },
+  'id-field': { type: 'string', default: 'parent_id' }
+};
+
+async function run(values, levelFiles) {
+  if (levelFiles.length === 0) throw new Error('At least one level file is required');
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`Invalid port: ${values.port}`);
+
+  const levels = [];
+  for (const file of levelFiles) {
+    levels.push(await readAllFeatures(file));
+    console.log(`Loaded ${file} (${levels[levels.length - 1].length} features)`);
+  }
+  const index = new UnitIndex(levels, {
+    idKey: values['id-key'],
+    nameKey: values['name-key'],
+    idField: values['id-field']
+  });
+  if (index.duplicates > 0) console.warn(`${index.duplicates} duplicate id(s) skipped`);
+
+  const server = createLookupServer(index, { cors: values.cors });
+  server.listen(port, values.host);
+  await once(server, 'listening');
+  const { address, port: actualPort } = server.address();
+  console.log(`Serving ${index.units.size} units on http://${address}:${actualPort}`);
+}
+
+module.exports = { summary: 'serve lookups over linked levels via HTTP', usage, options, run };
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const { readFeatureFile } = require('../readers');
+const { HierarchyTree } = require('../tree');
+
+const usage = `Usage: geojson-parent-linker tree --out <file> [options] <ADM0 file> <ADM1 file> [<ADM2 file> ...]
+
+Assemble linked level files (top level first, as written by hierarchy or
+pipeline) into a nested tree of { id, name, level, bbox, childCount, children }.
+
+Options:
+  --out <file>               nested tree (JSON)
+  --adjacency <file>         also write an adjacency list: one row per unit
+                             with parent_id and child ids (JSON)
+  --id-key <key>             id property on every level (default shapeID, then feature id)
+  --name-key <key>           name property on every level (default shapeName, then shapename)
+  --id-field <name>          property holding the parent id (default parent_id)`;
+
+const options = {
+  out: { type: 'string' },
+  adjacency: { type: 'string' },
+  'id-key': { type: 'string' },
+  'name-key': { type: 'string' },
+  'id-field': { type: 'string', default: 'parent_id' }
+};
+
+// Write the tree, and optionally its adjacency list, creating directories
+function writeTree(tree, file, adjacencyFile) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(tree.toJSON()));
+  console.log(`Tree written to ${file}`);
+  if (adjacencyFile) {
+    fs.mkdirSync(path.dirname(adjacencyFile), { recursive: true });
+    fs.writeFileSync(adjacencyFile, JSON.stringify(tree.toAdjacency()));
+    console.log(`Adjacency list written to ${adjacencyFile}`);
+  }
+  if (tree.unassigned.length > 0) console.warn(`${tree.unassigned.length} unit(s) have no known parent and are listed as unassigned`);
+  if (tree.duplicates.length > 0) console.warn(`${tree.duplicates.length} duplicate id(s) skipped`);
+}
+
+async function run(values, levelFiles) {
+  if (levelFiles.length === 0) throw new Error('At least one level file is required');
+  if (!values.out) throw new Error('Missing required option: --out');
+
+  const tree = new HierarchyTree({
+    idKey: values['id-key'],
+    nameKey: values['name-key'],
+    idField: values['id-field']
+  });
+  for (const [level, file] of levelFiles.entries()) {
+    await tree.addLevel(level, readFeatureFile(file));
+  }
+  writeTree(tree, values.out, values.adjacency);
+}
+
+module.exports = { summary: 'export linked levels as a nested tree', usage, options, run, writeTree };
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const turf = require('@turf/turf');
+const { getPolygons, getDimension, getFeatureId, getFeatureName } = require('./features');
+const { createSpatialIndex } = require('./spatialIndex');
+const { geoBbox, geoArea } = require('./antimeridian');
+
+// Checks that the children linked to each parent tile it: the union of a
+// parent's children should cover the parent, without siblings overlapping
+// and without reaching outside it. Per parent this gives the share of its
+// area covered, the gaps left (parts of the parent no child covers) and the
+// overlaps between siblings, each as GeoJSON features. Areas are in square
+// metres; gaps and overlaps smaller than `minArea` are left out as slivers.
+
+function round(value, digits) {
+  return Number(value.toFixed(digits));
+}
+
+// turf's boolean operations take two polygons at a time; failures are
+// logged and treated as empty so one bad geometry does not stop the check
+function safely(operation, label, logger) {
+  try {
+    return operation();
+  } catch (e) {
+    logger.warn(`${label} failed:`, e.message);
+    return null;
+  }
+}
+
+function unionAll(features, label, logger) {
+  return features.reduce((union, feature) => {
+    if (!union) return feature;
+    return safely(() => turf.union(union, feature), label, logger) || union;
+  }, null);
+}
+
+function polygonPieces(feature, properties, minArea) {
+  if (!feature) return [];
+  return getPolygons(feature)
+    .map(polygon => ({ type: 'Feature', properties: { ...properties, area: round(geoArea(polygon), 1) }, geometry: polygon.geometry }))
+    .filter(piece => piece.properties.area > minArea);
+}
+
+function checkParent(parentFeature, children, { idKey, nameKey, childIdKey, minArea, logger }) {
+  const parentId = getFeatureId(parentFeature, idKey);
+  const parentName = getFeatureName(parentFeature, nameKey);
+  const label = `Coverage check of ${parentId}`;
+  const parentArea = geoArea(parentFeature);
+  const union = unionAll(children, label, logger);
+
+  const covered = union && safely(() => turf.intersect(parentFeature, union), label, logger);
+  const outside = union && safely(() => turf.difference(union, parentFeature), label, logger);
+  const gapShape = union ? safely(() => turf.difference(parentFeature, union), label, logger) : parentFeature;
+  const gaps = polygonPieces(gapShape, { parent_id: parentId, parent_name: parentName }, minArea);
+
+  const overlaps = [];
+  const siblings = children.map((feature, order) => ({ feature, order, bbox: geoBbox(feature) }));
+  const index = createSpatialIndex(siblings);
+  siblings.forEach(sibling => {
+    for (const other of index.search(sibling.bbox)) {
+      if (other.order <= sibling.order) continue;
+      const shared = safely(() => turf.intersect(sibling.feature, other.feature), label, logger);
+      overlaps.push(...polygonPieces(shared, {
+        parent_id: parentId,
+        parent_name: parentName,
+        children: [getFeatureId(sibling.feature, childIdKey), getFeatureId(other.feature, childIdKey)]
+      }, minArea));
+    }
+  });
+
+  const sum = features => features.reduce((total, feature) => total + feature.properties.area, 0);
+  return {
+    summary: {
+      id: parentId,
+      name: parentName,
+      children: children.length,
+      coverage: parentArea > 0 && covered ? round(Math.min(geoArea(covered) / parentArea, 1), 6) : 0,
+      outside: parentArea > 0 && outside ? round(geoArea(outside) / parentArea, 6) : 0,
+      gaps: gaps.length,
+      gapArea: round(sum(gaps), 1),
+      overlaps: overlaps.length,
+      overlapArea: round(sum(overlaps), 1)
+    },
+    gaps,
+    overlaps
+  };
+}
+
+// Check every parent against the children linked to it through `idField`.
+// Returns { totals, minCoverage, parents, gaps, overlaps }: one summary per
+// parent and the gap and overlap features; `totals.unassigned` counts the
+// children whose parent id matches no parent. Options: idKey/nameKey
+// (parents), childIdKey, idField (default parent_id), minArea (default 0),
+// minCoverage (default 0.99, the share below which a parent counts as not
+// covered) and logger.
+function checkCoverage(parentFeatures, childFeatures, options = {}) {
+  const {
+    idKey,
+    nameKey,
+    childIdKey,
+    idField = 'parent_id',
+    minArea = 0,
+    minCoverage = 0.99,
+    logger = console
+  } = options;
+  const byParent = new Map(parentFeatures.map(feature => [getFeatureId(feature, idKey), []]));
+  let unassigned = 0;
+  for (const child of childFeatures) {
+    // Points and lines cover nothing
+    if (getDimension(child) !== 'polygon') continue;
+    const siblings = byParent.get(child.properties[idField]);
+    if (siblings) siblings.push(child);
+    else unassigned++;
+  }
+
+  const parents = [];
+  const gaps = [];
+  const overlaps = [];
+  for (const parentFeature of parentFeatures) {
+    const children = byParent.get(getFeatureId(parentFeature, idKey));
+    const result = checkParent(parentFeature, children, { idKey, nameKey, childIdKey, minArea, logger });
+    parents.push(result.summary);
+    gaps.push(...result.gaps);
+    overlaps.push(...result.overlaps);
+  }
+
+  return {
+    totals: {
+      parents: parents.length,
+      notCovered: parents.filter(parent => parent.coverage < minCoverage).length,
+      childless: parents.filter(parent => parent.children === 0).length,
+      gaps: gaps.length,
+      overlaps: overlaps.length,
+      unassigned
+    },
+    minCoverage,
+    parents,
+    gaps,
+    overlaps
+  };
+}
+
+function coverageToText(result, { limit = 20 } = {}) {
+  const { totals } = result;
+  const percent = value => `${(value * 100).toFixed(2)}%`;
+  const lines = [
+    'Coverage check',
+    `  parents:              ${totals.parents}`,
+    `  covered below ${percent(result.minCoverage)}: ${totals.notCovered}`,
+    `  without children:     ${totals.childless}`,
+    `  gaps:                 ${totals.gaps}`,
+    `  sibling overlaps:     ${totals.overlaps}`,
+    `  unassigned children:  ${totals.unassigned}`
+  ];
+  const notCovered = result.parents
+    .filter(parent => parent.coverage < result.minCoverage)
+    .sort((a, b) => a.coverage - b.coverage);
+  if (notCovered.length > 0) {
+    lines.push('', 'Parents not covered by their children:');
+    notCovered.slice(0, limit).forEach(parent => lines.push(
+      `  ${parent.id} (${parent.name}): ${percent(parent.coverage)} covered by ${parent.children} children` +
+      (parent.outside > 0 ? `, ${percent(parent.outside)} outside` : '')));
+    if (notCovered.length > limit) lines.push(`  ... and ${notCovered.length - limit} more`);
+  }
+  return lines.join('\n');
+}
+
+// Write the coverage (parents with their summary), gap and overlap layers
+// plus coverage_report.json/.txt to `outDir`
+function writeCoverage(result, parentFeatures, outDir, logger = console) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const collection = features => JSON.stringify({ type: 'FeatureCollection', features });
+  const files = {
+    coverage: path.join(outDir, 'coverage.geojson'),
+    gaps: path.join(outDir, 'gaps.geojson'),
+    overlaps: path.join(outDir, 'overlaps.geojson')
+  };
+  fs.writeFileSync(files.coverage, collection(parentFeatures.map((feature, i) => ({
+    type: 'Feature',
+    properties: result.parents[i],
+    geometry: feature.geometry
+  }))));
+  fs.writeFileSync(files.gaps, collection(result.gaps));
+  fs.writeFileSync(files.overlaps, collection(result.overlaps));
+
+  const text = coverageToText(result);
+  const { gaps, overlaps, ...report } = result;
+  fs.writeFileSync(path.join(outDir, 'coverage_report.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(outDir, 'coverage_report.txt'), text + '\n');
+  logger.log(text);
+  logger.log(`Coverage layers written to ${Object.values(files).join(', ')}`);
+}
+
+module.exports = { checkCoverage, coverageToText, writeCoverage };
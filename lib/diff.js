@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { getPolygons, getFeatureId, getFeatureName } = require('./features');
+const { createSpatialIndex } = require('./spatialIndex');
+const { intersectionArea } = require('./linker');
+const { geoBbox, geoArea } = require('./antimeridian');
+
+// Compares two releases of the same level. Ids are not expected to survive a
+// release, so units are matched by overlap: an old and a new unit correspond
+// when their intersection covers at least `minOverlap` of either one. Each
+// unit then falls into one change:
+//
+//   unchanged            one old <-> one new, same name, same area (within
+//                        `tolerance`)
+//   renamed              one old <-> one new, different name (may also be
+//                        reshaped, see `geometryModified`)
+//   geometry-modified    one old <-> one new, same name, different area
+//   split                one old -> several new
+//   merged               several old -> one new
+//   added / removed      no counterpart
+//
+// Every old unit whose largest share went to a new unit that in turn came
+// mostly from it has that unit as its successor (old id -> new id), even
+// when a sliver moved elsewhere. For linked levels, children whose parent
+// changed are listed as parent reassignments: parents are compared by name,
+// or, given the diff of the parent level, through its successors (so a
+// renamed or reshaped parent is still the same parent).
+
+const TYPES = ['unchanged', 'renamed', 'geometry-modified', 'split', 'merged', 'added', 'removed'];
+
+function prepareUnits(features, { idKey, nameKey, idField, nameField }) {
+  return features.map((feature, index) => ({
+    index,
+    feature,
+    id: getFeatureId(feature, idKey),
+    name: getFeatureName(feature, nameKey),
+    parentId: feature.properties[idField],
+    parentName: feature.properties[nameField],
+    bbox: geoBbox(feature),
+    polygons: getPolygons(feature),
+    area: geoArea(feature),
+    geometry: JSON.stringify(feature.geometry),
+    overlaps: []
+  }));
+}
+
+function describeUnit(unit, share) {
+  return {
+    id: unit.id,
+    name: unit.name,
+    ...(unit.parentId !== undefined && { parent_id: unit.parentId }),
+    ...(unit.parentName !== undefined && { parent_name: unit.parentName }),
+    ...(share !== undefined && { share: Number(share.toFixed(6)) })
+  };
+}
+
+function largest(overlaps, share) {
+  return overlaps.reduce((best, overlap) => !best || overlap[share] > best[share] ? overlap : best, null);
+}
+
+// Options: idKey, nameKey, idField/nameField (the parent fields of linked
+// levels), minOverlap (default 0.05), tolerance (default 0.001), parentDiff
+// (the diffLevels result of the parent level) and logger.
+function diffLevels(oldFeatures, newFeatures, options = {}) {
+  const {
+    idKey,
+    nameKey,
+    idField = 'parent_id',
+    nameField = 'parent_name',
+    minOverlap = 0.05,
+    tolerance = 0.001,
+    parentDiff,
+    logger = console
+  } = options;
+  const keys = { idKey, nameKey, idField, nameField };
+  const olds = prepareUnits(oldFeatures, keys);
+  const news = prepareUnits(newFeatures, keys);
+  const index = createSpatialIndex(news);
+
+  for (const oldUnit of olds) {
+    for (const newUnit of index.search(oldUnit.bbox)) {
+      const area = oldUnit.geometry === newUnit.geometry
+        ? oldUnit.area
+        : intersectionArea(oldUnit.polygons, newUnit.polygons, { index: oldUnit.index, logger });
+      if (area === 0 || oldUnit.area === 0 || newUnit.area === 0) continue;
+      const overlap = {
+        old: oldUnit,
+        new: newUnit,
+        oldShare: Math.min(area / oldUnit.area, 1),
+        newShare: Math.min(area / newUnit.area, 1)
+      };
+      if (Math.max(overlap.oldShare, overlap.newShare) < minOverlap) continue;
+      oldUnit.overlaps.push(overlap);
+      newUnit.overlaps.push(overlap);
+    }
+  }
+
+  const changes = [];
+  for (const oldUnit of olds) {
+    if (oldUnit.overlaps.length === 0) {
+      changes.push({ type: 'removed', old: [describeUnit(oldUnit)], new: [] });
+    } else if (oldUnit.overlaps.length > 1) {
+      changes.push({
+        type: 'split',
+        old: [describeUnit(oldUnit)],
+        new: oldUnit.overlaps.map(overlap => describeUnit(overlap.new, overlap.oldShare))
+      });
+    } else if (oldUnit.overlaps[0].new.overlaps.length === 1) {
+      const { new: newUnit, oldShare, newShare } = oldUnit.overlaps[0];
+      const renamed = oldUnit.name !== newUnit.name;
+      const geometryModified = oldUnit.geometry !== newUnit.geometry && 1 - Math.min(oldShare, newShare) > tolerance;
+      changes.push({
+        type: renamed ? 'renamed' : geometryModified ? 'geometry-modified' : 'unchanged',
+        old: [describeUnit(oldUnit)],
+        new: [describeUnit(newUnit)],
+        renamed,
+        geometryModified,
+        overlap: Number(Math.min(oldShare, newShare).toFixed(6))
+      });
+    }
+  }
+  for (const newUnit of news) {
+    if (newUnit.overlaps.length === 0) {
+      changes.push({ type: 'added', old: [], new: [describeUnit(newUnit)] });
+    } else if (newUnit.overlaps.length > 1) {
+      changes.push({
+        type: 'merged',
+        old: newUnit.overlaps.map(overlap => describeUnit(overlap.old, overlap.newShare)),
+        new: [describeUnit(newUnit)]
+      });
+    }
+  }
+
+  const successors = [];
+  for (const oldUnit of olds) {
+    const main = largest(oldUnit.overlaps, 'oldShare');
+    if (main && largest(main.new.overlaps, 'newShare') === main) successors.push({ old: oldUnit.id, new: main.new.id });
+  }
+
+  const parentSuccessors = parentDiff && new Map(parentDiff.successors.map(successor => [successor.old, successor.new]));
+  const parentReassignments = [];
+  for (const oldUnit of olds) {
+    for (const { new: newUnit } of oldUnit.overlaps) {
+      const oldParent = oldUnit.parentId === undefined ? null : oldUnit.parentId;
+      const newParent = newUnit.parentId === undefined ? null : newUnit.parentId;
+      // Unlinked levels, or a unit that had no parent in either release
+      if (oldParent === null && newParent === null) continue;
+      const sameParent = parentSuccessors
+        ? oldParent !== null && parentSuccessors.get(oldParent) === newParent
+        : oldUnit.parentName === newUnit.parentName;
+      if (sameParent) continue;
+      parentReassignments.push({
+        old: describeUnit(oldUnit),
+        new: describeUnit(newUnit)
+      });
+    }
+  }
+
+  const totals = { old: olds.length, new: news.length };
+  for (const type of TYPES) totals[type] = changes.filter(change => change.type === type).length;
+  totals.parentReassignments = parentReassignments.length;
+  return { totals, changes, successors, parentReassignments };
+}
+
+function diffToText(diff, { title = 'Boundary diff', limit = 20 } = {}) {
+  const { totals } = diff;
+  const label = unit => `${unit.id} (${unit.name})`;
+  const share = unit => `${label(unit)} ${(unit.share * 100).toFixed(1)}%`;
+  const parent = unit => unit.parent_name !== undefined ? `${unit.parent_id} (${unit.parent_name})` : `${unit.parent_id}`;
+  const lines = [
+    `${title}: ${totals.old} old, ${totals.new} new units`,
+    ...TYPES.map(type => `  ${`${type}:`.padEnd(20)}${totals[type]}`),
+    `  ${'parent changes:'.padEnd(20)}${totals.parentReassignments}`
+  ];
+
+  const section = (heading, items, format) => {
+    if (items.length === 0) return;
+    lines.push('', `${heading}:`);
+    items.slice(0, limit).forEach(item => lines.push(`  ${format(item)}`));
+    if (items.length > limit) lines.push(`  ... and ${items.length - limit} more`);
+  };
+  const ofType = type => diff.changes.filter(change => change.type === type);
+  section('Renamed', ofType('renamed'), change =>
+    `${label(change.old[0])} -> ${label(change.new[0])}${change.geometryModified ? ' (geometry modified)' : ''}`);
+  section('Geometry modified', ofType('geometry-modified'), change =>
+    `${label(change.old[0])} -> ${change.new[0].id}, ${(change.overlap * 100).toFixed(1)}% overlap`);
+  section('Split', ofType('split'), change => `${label(change.old[0])} -> ${change.new.map(share).join(', ')}`);
+  section('Merged', ofType('merged'), change => `${change.old.map(share).join(', ')} -> ${label(change.new[0])}`);
+  section('Added', ofType('added'), change => label(change.new[0]));
+  section('Removed', ofType('removed'), change => label(change.old[0]));
+  section('Parent reassignments', diff.parentReassignments, change =>
+    `${label(change.old)} -> ${change.new.id}: ${parent(change.old)} -> ${parent(change.new)}`);
+
+  return lines.join('\n');
+}
+
+// Write the diff as JSON plus a .txt changelog next to it
+function writeDiff(diff, file, { title, logger = console } = {}) {
+  const text = diffToText(diff, { title });
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(diff, null, 2));
+  fs.writeFileSync(file.replace(/\.json$/, '') + '.txt', text + '\n');
+  logger.log(text);
+  logger.log(`Diff written to ${file}`);
+}
+
+module.exports = { diffLevels, diffToText, writeDiff };
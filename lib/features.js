@@ -0,0 +1,61 @@
+// Single-part geometries of a geometry: Multi* geometries split into their
+// parts and GeometryCollections flattened
+function flattenGeometry(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'GeometryCollection') return (geometry.geometries || []).flatMap(flattenGeometry);
+  if (!geometry.coordinates) return [];
+  if (geometry.type.startsWith('Multi')) {
+    return geometry.coordinates.map(coordinates => ({ type: geometry.type.slice('Multi'.length), coordinates }));
+  }
+  return [geometry];
+}
+
+function getParts(feature, type) {
+  if (!feature) return [];
+  return flattenGeometry(feature.geometry)
+    .filter(geometry => geometry.type === type)
+    .map(geometry => ({ type: 'Feature', properties: feature.properties || {}, geometry }));
+}
+
+// Split a Polygon/MultiPolygon feature (or the polygons of a
+// GeometryCollection) into single Polygon features so the turf boolean
+// predicates can be applied part by part.
+function getPolygons(feature) {
+  if (feature && feature.geometry && feature.geometry.type === 'Polygon') return [feature];
+  return getParts(feature, 'Polygon');
+}
+
+function getLines(feature) {
+  return getParts(feature, 'LineString');
+}
+
+function getPoints(feature) {
+  return getParts(feature, 'Point');
+}
+
+// The highest dimension among a feature's parts: "polygon", "line", "point",
+// or null when it has no geometry. A GeometryCollection is measured by its
+// polygons when it has any, else by its lines, else by its points.
+function getDimension(feature) {
+  const types = new Set(flattenGeometry(feature && feature.geometry).map(geometry => geometry.type));
+  if (types.has('Polygon')) return 'polygon';
+  if (types.has('LineString')) return 'line';
+  if (types.has('Point')) return 'point';
+  return null;
+}
+
+// Without an explicit property key, fall back to the geoBoundaries names.
+// `properties` may be null (RFC 7946 3.2).
+function getFeatureId(feature, key) {
+  const properties = feature.properties || {};
+  if (key) return properties[key];
+  return properties.shapeID || feature.id;
+}
+
+function getFeatureName(feature, key) {
+  const properties = feature.properties || {};
+  if (key) return properties[key];
+  return properties.shapeName || properties.shapename;
+}
+
+module.exports = { getPolygons, getLines, getPoints, getDimension, getFeatureId, getFeatureName };
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const readline = require('readline');
+
+// Incremental parser for a FeatureCollection. Text is pushed in arbitrary
+// chunks; every complete element of the top-level "features" array is
+// returned as soon as its closing brace has been seen, so only one feature
+// needs to be held in memory at a time.
+class FeatureCollectionParser {
+  constructor() {
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.expectKey = false;
+    this.key = null;
+    this.lastKey = null;
+    this.inFeatures = false;
+    this.featureText = null;
+    this.done = false;
+  }
+
+  push(chunk) {
+    const features = [];
+    let featureStart = this.featureText === null ? -1 : 0;
+
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+
+      if (this.inString) {
+        if (this.key !== null && !this.escaped && ch !== '"') this.key += ch;
+        if (this.escaped) this.escaped = false;
+        else if (ch === '\\') this.escaped = true;
+        else if (ch === '"') {
+          this.inString = false;
+          if (this.key !== null) {
+            this.lastKey = this.key;
+            this.key = null;
+          }
+        }
+        continue;
+      }
+
+      if (ch === '"') {
+        this.inString = true;
+        // Only keys of the root object are captured
+        if (this.depth === 1 && this.expectKey) this.key = '';
+      } else if (ch === '{' || ch === '[') {
+        if (this.depth === 1 && ch === '[' && this.lastKey === 'features') {
+          this.inFeatures = true;
+        } else if (this.inFeatures && this.depth === 2) {
+          featureStart = i;
+          this.featureText = '';
+        }
+        this.depth++;
+        if (this.depth === 1) this.expectKey = true;
+      } else if (ch === '}' || ch === ']') {
+        this.depth--;
+        if (this.inFeatures && this.depth === 2) {
+          features.push(JSON.parse(this.featureText + chunk.slice(featureStart, i + 1)));
+          this.featureText = null;
+          featureStart = -1;
+        } else if (this.inFeatures && this.depth === 1) {
+          this.inFeatures = false;
+        } else if (this.depth === 0) {
+          this.done = true;
+        }
+      } else if (this.depth === 1) {
+        if (ch === ',') this.expectKey = true;
+        else if (ch === ':') this.expectKey = false;
+      }
+    }
+
+    if (this.featureText !== null) this.featureText += chunk.slice(featureStart);
+    return features;
+  }
+
+  end() {
+    if (!this.done) throw new Error('Unexpected end of GeoJSON input');
+  }
+}
+
+// Yield the features of a FeatureCollection file one at a time
+async function* readFeatures(file) {
+  const parser = new FeatureCollectionParser();
+  const stream = fs.createReadStream(file, { encoding: 'utf8' });
+  for await (const chunk of stream) {
+    yield* parser.push(chunk);
+  }
+  parser.end();
+}
+
+// Yield the features of a newline-delimited GeoJSON file or GeoJSON text
+// sequence, skipping blank lines
+async function* readNdjsonFeatures(file) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file, { encoding: 'utf8' }), crlfDelay: Infinity });
+  for await (const line of lines) {
+    // GeoJSON text sequences (RFC 8142) prefix each record with a record separator
+    const text = line.replace(/^\x1e/, '');
+    if (text.trim()) yield JSON.parse(text);
+  }
+}
+
+module.exports = {
+  FeatureCollectionParser,
+  readFeatures,
+  readNdjsonFeatures
+};
@@ -0,0 +1,274 @@
+const turf = require('@turf/turf');
+const { getFeatureId } = require('./features');
+const { mapChildren } = require('./stages');
+
+// Polygon defects that make the turf predicates throw or quietly return the
+// wrong answer, and their repairs. Issues are { type, part, ring }, with
+// `part` the polygon of a MultiPolygon and `ring` 0 for the exterior:
+//
+//   empty-geometry          no geometry or no coordinates (not repairable)
+//   invalid-coordinates     positions that are not two finite numbers (dropped)
+//   duplicate-vertices      consecutive repeated positions (removed)
+//   unclosed-ring           last position differs from the first (closed)
+//   degenerate-ring         fewer than four positions once cleaned (dropped)
+//   wrong-winding           exterior not counter-clockwise or hole not
+//                           clockwise, per RFC 7946 (reversed)
+//   self-intersection       rings crossing or touching themselves or each
+//                           other (rebuilt through a self-union, the
+//                           polygon-clipping equivalent of buffer(0))
+
+function samePosition(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+function validPosition(position) {
+  return Array.isArray(position) && position.length >= 2 &&
+    Number.isFinite(position[0]) && Number.isFinite(position[1]);
+}
+
+// Twice the signed area; positive for counter-clockwise rings
+function signedArea(ring) {
+  let sum = 0;
+  for (let i = 1; i < ring.length; i++) {
+    sum += ring[i - 1][0] * ring[i][1] - ring[i][0] * ring[i - 1][1];
+  }
+  return sum;
+}
+
+function orientation(a, b, c) {
+  const value = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  return value > 0 ? 1 : value < 0 ? -1 : 0;
+}
+
+function onSegment(a, b, p) {
+  return Math.min(a[0], b[0]) <= p[0] && p[0] <= Math.max(a[0], b[0]) &&
+    Math.min(a[1], b[1]) <= p[1] && p[1] <= Math.max(a[1], b[1]);
+}
+
+// 'cross' for a proper crossing or collinear overlap, 'touch' when an
+// endpoint lies on the other segment, null when they are disjoint
+function segmentContact(a, b, c, d) {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+  if (o1 * o2 < 0 && o3 * o4 < 0) return 'cross';
+  if (o1 === 0 && o2 === 0 && o3 === 0 && o4 === 0) {
+    const axis = a[0] !== b[0] ? 0 : 1;
+    const overlap = Math.min(Math.max(a[axis], b[axis]), Math.max(c[axis], d[axis])) -
+      Math.max(Math.min(a[axis], b[axis]), Math.min(c[axis], d[axis]));
+    if (overlap > 0) return 'cross';
+    return overlap === 0 ? 'touch' : null;
+  }
+  if ((o1 === 0 && onSegment(a, b, c)) || (o2 === 0 && onSegment(a, b, d)) ||
+    (o3 === 0 && onSegment(c, d, a)) || (o4 === 0 && onSegment(c, d, b))) return 'touch';
+  return null;
+}
+
+// Whether the (closed, duplicate-free) rings of one polygon cross each other
+// or themselves. Segments are swept in x order so only segments whose x
+// ranges overlap are compared. A single touching point between two different
+// rings is allowed, as in OGC simple features.
+function hasSelfIntersection(rings) {
+  const segments = [];
+  rings.forEach((ring, r) => {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const a = ring[i];
+      const b = ring[i + 1];
+      segments.push({
+        r, i, a, b, last: ring.length - 2,
+        minX: Math.min(a[0], b[0]), maxX: Math.max(a[0], b[0]),
+        minY: Math.min(a[1], b[1]), maxY: Math.max(a[1], b[1])
+      });
+    }
+  });
+  segments.sort((s, t) => s.minX - t.minX);
+
+  for (let n = 0; n < segments.length; n++) {
+    const s = segments[n];
+    for (let m = n + 1; m < segments.length && segments[m].minX <= s.maxX; m++) {
+      const t = segments[m];
+      if (t.minY > s.maxY || t.maxY < s.minY) continue;
+      const sameRing = s.r === t.r;
+      const adjacent = sameRing && (Math.abs(s.i - t.i) === 1 ||
+        (Math.min(s.i, t.i) === 0 && Math.max(s.i, t.i) === s.last));
+      const contact = segmentContact(s.a, s.b, t.a, t.b);
+      if (!contact) continue;
+      if (adjacent) {
+        // Neighbours share one vertex; anything more means the ring folds back
+        if (contact === 'cross') return true;
+        continue;
+      }
+      if (contact === 'cross' || sameRing) return true;
+    }
+  }
+  return false;
+}
+
+function polygonsOf(geometry) {
+  if (!geometry) return null;
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return null;
+}
+
+// Clean one ring, recording each problem found. Returns null when too little
+// is left of it.
+function cleanRing(ring, location, issues) {
+  const valid = ring.filter(validPosition);
+  if (valid.length < ring.length) issues.push({ type: 'invalid-coordinates', ...location });
+
+  const deduped = valid.filter((position, i) => i === 0 || !samePosition(position, valid[i - 1]));
+  if (deduped.length < valid.length) issues.push({ type: 'duplicate-vertices', ...location });
+  const closed = deduped.length > 1 && samePosition(deduped[0], deduped[deduped.length - 1]);
+  if (deduped.length > 0 && !closed) {
+    issues.push({ type: 'unclosed-ring', ...location });
+    deduped.push(deduped[0]);
+  }
+  if (deduped.length < 4) {
+    issues.push({ type: 'degenerate-ring', ...location });
+    return null;
+  }
+  return deduped;
+}
+
+// Issues of a geometry plus its cleaned polygons (rings closed, duplicates
+// and degenerate rings dropped, winding corrected) as { rings, kinked };
+// self-intersections are detected on the cleaned rings but left in place
+function inspect(geometry) {
+  const polygons = polygonsOf(geometry);
+  if (!polygons) {
+    // Points, lines and GeometryCollections are linked as they are
+    if (geometry && (geometry.coordinates || geometry.geometries)) return { issues: [], polygons: null };
+    return { issues: [{ type: 'empty-geometry' }], polygons: null };
+  }
+
+  const issues = [];
+  const cleaned = [];
+  polygons.forEach((rings, part) => {
+    const kept = [];
+    rings.forEach((ring, r) => {
+      let clean = cleanRing(ring, { part, ring: r }, issues);
+      if (!clean || (r > 0 && kept.length === 0)) return;
+      // A ring with no area (a bow tie) has no orientation to speak of
+      const area = signedArea(clean);
+      if (area !== 0 && (area > 0) !== (kept.length === 0)) {
+        issues.push({ type: 'wrong-winding', part, ring: r });
+        clean = clean.slice().reverse();
+      }
+      kept.push(clean);
+    });
+    if (kept.length === 0) return;
+    const kinked = hasSelfIntersection(kept);
+    if (kinked) issues.push({ type: 'self-intersection', part });
+    cleaned.push({ rings: kept, kinked });
+  });
+  if (cleaned.length === 0) issues.push({ type: 'empty-geometry' });
+  return { issues, polygons: cleaned };
+}
+
+function validateGeometry(geometry) {
+  return inspect(geometry).issues;
+}
+
+// A repaired copy of the geometry; the input is left untouched. Returns null
+// when nothing usable is left.
+function repairGeometry(geometry) {
+  const { issues, polygons } = inspect(geometry);
+  if (issues.length === 0) return geometry;
+  if (!polygons || polygons.length === 0) return null;
+
+  const unioned = polygons.map(({ rings, kinked }) => {
+    if (!kinked) return [rings];
+    const polygon = turf.polygon(rings);
+    const union = turf.union(polygon, polygon);
+    if (!union) return [];
+    return union.geometry.type === 'Polygon' ? [union.geometry.coordinates] : union.geometry.coordinates;
+  });
+  const result = unioned.flat();
+  if (result.length === 0) return null;
+  return result.length === 1 && geometry.type === 'Polygon'
+    ? { type: 'Polygon', coordinates: result[0] }
+    : { type: 'MultiPolygon', coordinates: result };
+}
+
+// { feature, issues, fixed, remaining }. With `repair`, `feature` is a copy
+// carrying the repaired geometry, and `remaining` lists what the repair could
+// not fix; otherwise it is the input feature and nothing is fixed.
+function checkFeature(feature, { repair = false } = {}) {
+  const issues = validateGeometry(feature.geometry);
+  if (issues.length === 0) return { feature, issues, fixed: [], remaining: [] };
+  if (!repair) return { feature, issues, fixed: [], remaining: issues };
+
+  let geometry;
+  try {
+    geometry = repairGeometry(feature.geometry);
+  } catch (e) {
+    return { feature, issues, fixed: [], remaining: issues, error: e.message };
+  }
+  // Nothing usable left: link the original rather than a feature without geometry
+  if (!geometry) return { feature, issues, fixed: [], remaining: issues };
+  const remaining = validateGeometry(geometry);
+  const remainingTypes = new Set(remaining.map(issue => issue.type));
+  return {
+    feature: { ...feature, geometry },
+    issues,
+    fixed: [...new Set(issues.map(issue => issue.type))].filter(type => !remainingTypes.has(type)),
+    remaining
+  };
+}
+
+function summarizeIssues(issues) {
+  const counts = new Map();
+  issues.forEach(issue => counts.set(issue.type, (counts.get(issue.type) || 0) + 1));
+  return [...counts].map(([type, count]) => count > 1 ? `${type} x${count}` : type).join(', ');
+}
+
+function describeResult(result, label, idKey) {
+  const id = getFeatureId(result.feature, idKey);
+  const outcome = result.fixed.length === 0
+    ? 'not repaired'
+    : result.remaining.length === 0 ? 'repaired' : `partly repaired (${summarizeIssues(result.remaining)} left)`;
+  return `Geometry of ${label} ${id}: ${summarizeIssues(result.issues)}; ${outcome}`;
+}
+
+// Check one feature and report it to `logger.warn` and
+// `onValidate(feature, result, { role, index })` when it is defective;
+// returns the feature to link. `label` names the level in warnings, e.g.
+// "ADM2 feature".
+function createValidator({ repair = false, role = 'child', label = 'feature', idKey, onValidate, logger = console } = {}) {
+  return function validate(feature, index) {
+    const result = checkFeature(feature, { repair });
+    if (result.issues.length > 0) {
+      logger.warn(describeResult(result, label, idKey));
+      if (onValidate) onValidate(result.feature, result, { role, index });
+    }
+    return result.feature;
+  };
+}
+
+// createValidator over an array, such as a parent level
+function validateFeatureArray(features, options) {
+  return features.map(createValidator({ role: 'parent', ...options }));
+}
+
+// Run both sides of a link through the checks when `validate` or `repair` is
+// set (a stage of lib/stages.js)
+function validateLevel(parentFeatures, children, { validate, repair, onValidate, logger, level = 1, parentIdKey, childIdKey } = {}) {
+  if (!validate && !repair) return { parentFeatures, children };
+  const options = { repair, onValidate, logger };
+  const childOptions = { ...options, role: 'child', label: `ADM${level} feature`, idKey: childIdKey };
+  return {
+    parentFeatures: validateFeatureArray(parentFeatures, { ...options, label: `ADM${level - 1} feature`, idKey: parentIdKey }),
+    children: mapChildren(children, createValidator(childOptions))
+  };
+}
+
+module.exports = {
+  validateGeometry,
+  repairGeometry,
+  checkFeature,
+  summarizeIssues,
+  validateFeatureArray,
+  validateLevel
+};
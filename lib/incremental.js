@@ -0,0 +1,215 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { createLinker } = require('./linker');
+const { BATCH_SIZE, FLUSH, linkParallel, resolveWorkerCount } = require('./parallel');
+const { validateLevel } = require('./geometry');
+const { splitLevel } = require('./lines');
+const { geoBbox, antimeridianLevel } = require('./antimeridian');
+const { createSpatialIndex } = require('./spatialIndex');
+const { getFeatureId } = require('./features');
+const { createAttributeMatcher } = require('./attributes');
+const { writeFileAtomic } = require('./checkpoint');
+
+// Incremental re-linking. A level's link state records a content hash per
+// parent (by id) and, per child content hash, what the linker wrote onto the
+// child and which parents' bboxes it overlapped. On the next run a child is
+// only linked again when it is new or changed, or when its candidate parents
+// are not the same unchanged parents, in the same order, as last time; every
+// other child gets its previous result back. In the attribute and hybrid
+// modes the parents its property joins consider count as candidates too. A
+// state written with different linker options is ignored.
+
+const STATE_VERSION = 1;
+
+function hashFeature(feature) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([feature.id, feature.geometry, feature.properties]))
+    .digest('hex');
+}
+
+function loadLinkState(file) {
+  if (!file || !fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function saveLinkState(file, state) {
+  writeFileAtomic(file, JSON.stringify(state));
+}
+
+// The options that change what is written onto a child
+function stateKey({ level = 1, mode = 'first', parentIdKey, parentNameKey, idField = 'parent_id', nameField = 'parent_name', repair = false, joins, geometryMode }) {
+  return JSON.stringify({ level, mode, parentIdKey, parentNameKey, idField, nameField, repair, joins, geometryMode });
+}
+
+// Link `features` to `parents` like linkFeatures in lib/parallel.js, reusing
+// the results recorded in `previous` (a state from loadLinkState, or null for
+// a full run). Returns { features, state, stats }; `state` (to pass to
+// saveLinkState) and `stats` ({ reused, relinked }) are complete once
+// `features` has been consumed. With several workers, reused children wait in
+// memory until the changed children before them come back from the pool, and
+// once as many wait as the pool holds in flight it is flushed, so memory stays
+// bounded however few children changed.
+function linkIncremental(parents, features, options = {}) {
+  const { previous, validate, repair, onValidate, splitAntimeridian, splitLines, onLink, ...linkOptions } = options;
+  const {
+    level = 1,
+    mode,
+    parentIdKey,
+    parentNameKey,
+    childIdKey,
+    idField = 'parent_id',
+    nameField = 'parent_name',
+    collectCandidates = false,
+    joins,
+    workers = 1,
+    batchSize = BATCH_SIZE,
+    logger = console
+  } = linkOptions;
+  const validated = validateLevel(parents, features, options);
+  const unwrapped = antimeridianLevel(validated.parentFeatures, validated.children, options);
+  const { parentFeatures, children } = splitLevel(unwrapped.parentFeatures, unwrapped.children, options);
+
+  const key = stateKey(options);
+  const usable = previous && previous.version === STATE_VERSION && previous.key === key;
+  const previousParents = usable ? previous.parents : {};
+  const previousChildren = usable ? previous.children : {};
+  const state = { version: STATE_VERSION, key, parents: {}, children: {} };
+  const stats = { reused: 0, relinked: 0 };
+
+  // Repeated ids share one entry, changing when any of them changes
+  const parentById = new Map();
+  const items = parentFeatures.map(feature => {
+    const id = getFeatureId(feature, parentIdKey);
+    const hash = hashFeature(feature);
+    state.parents[id] = id in state.parents ? `${state.parents[id]},${hash}` : hash;
+    if (!parentById.has(id)) parentById.set(id, feature);
+    return { id, feature, bbox: geoBbox(feature) };
+  });
+  const index = createSpatialIndex(items);
+  const itemByFeature = new Map(items.map(item => [item.feature, item]));
+  const attributes = (mode === 'attribute' || mode === 'hybrid') &&
+    createAttributeMatcher(parentFeatures, { joins, parentIdKey, parentNameKey });
+  const linkKeys = new Set([idField, nameField, 'ancestors', 'parent_overlap_ratio', 'parent_match', 'parent_match_conflict']);
+
+  function reusable(entry, candidates) {
+    if (!entry || entry.candidates.length !== candidates.length) return false;
+    if (collectCandidates && !entry.overlaps) return false;
+    return candidates.every((id, i) => entry.candidates[i] === id && previousParents[id] === state.parents[id]);
+  }
+
+  async function* decide() {
+    let i = 0;
+    for await (const feature of children) {
+      const hash = hashFeature(feature);
+      const bbox = feature.geometry ? geoBbox(feature) : undefined;
+      const found = bbox ? index.search(bbox) : [];
+      if (attributes) {
+        const joined = attributes.candidates(feature).map(parent => itemByFeature.get(parent));
+        found.push(...joined.filter(item => !found.includes(item)));
+      }
+      const candidates = found.map(item => item.id);
+      const entry = previousChildren[hash];
+      yield { index: i++, feature, hash, bbox, candidates, entry: reusable(entry, candidates) ? entry : null };
+    }
+  }
+
+  const overlapsOf = entry => entry.overlaps &&
+    entry.overlaps.map(({ id, ratio }) => ({ feature: parentById.get(id), ratio }));
+
+  function reuse({ index: i, feature, hash, bbox, entry }) {
+    if (bbox) feature.bbox = bbox;
+    Object.assign(feature.properties, entry.link);
+    const parentId = entry.link[idField];
+    const parentFeature = parentId === null || parentId === undefined ? null : parentById.get(parentId);
+    if (!parentFeature) {
+      logger.warn(`No parent found for ADM${level} feature ${i + 1}: ${getFeatureId(feature, childIdKey)}`);
+    }
+    if (onLink) {
+      onLink(feature, parentFeature, {
+        index: i,
+        candidates: overlapsOf(entry),
+        ...(entry.match !== undefined && {
+          match: entry.match && { ...entry.match, conflict: entry.match.conflict === null ? null : parentById.get(entry.match.conflict) }
+        })
+      });
+    }
+    state.children[hash] = entry;
+    stats.reused++;
+    return feature;
+  }
+
+  // The linker reports each child just before handing it back
+  let lastLink = null;
+  const recordLink = (childFeature, parentFeature, details) => {
+    lastLink = { parentFeature, details };
+  };
+
+  function finish({ index: i, hash, candidates }, feature) {
+    const { parentFeature, details } = lastLink;
+    if (onLink) onLink(feature, parentFeature, { ...details, index: i });
+    const link = {};
+    for (const name of Object.keys(feature.properties)) {
+      if (linkKeys.has(name)) link[name] = feature.properties[name];
+    }
+    state.children[hash] = {
+      link,
+      candidates,
+      ...(details.candidates && {
+        overlaps: details.candidates.map(candidate => ({
+          id: getFeatureId(candidate.feature, parentIdKey),
+          ratio: candidate.ratio
+        }))
+      }),
+      ...(details.match !== undefined && {
+        match: details.match && {
+          ...details.match,
+          conflict: details.match.conflict ? getFeatureId(details.match.conflict, parentIdKey) : null
+        }
+      })
+    };
+    stats.relinked++;
+    return feature;
+  }
+
+  async function* sequential() {
+    const linkFeature = createLinker(parentFeatures, { ...linkOptions, onLink: recordLink });
+    for await (const item of decide()) {
+      yield item.entry ? reuse(item) : finish(item, linkFeature(item.feature, item.index));
+    }
+  }
+
+  async function* parallel() {
+    const queue = [];
+    const limit = batchSize * (resolveWorkerCount(workers) + 1);
+    let waiting = 0;
+    async function* changed() {
+      for await (const item of decide()) {
+        queue.push(item);
+        if (!item.entry) yield item.feature;
+        else if (++waiting >= limit) yield FLUSH;
+      }
+    }
+    const release = () => {
+      waiting--;
+      return reuse(queue.shift());
+    };
+    for await (const feature of linkParallel(parentFeatures, changed(), { ...linkOptions, onLink: recordLink })) {
+      // Everything changed before has come back
+      if (feature === FLUSH) {
+        while (queue.length > 0) yield release();
+        continue;
+      }
+      while (queue[0].entry) yield release();
+      yield finish(queue.shift(), feature);
+    }
+    while (queue.length > 0) yield release();
+  }
+
+  return {
+    features: resolveWorkerCount(workers) === 1 ? sequential() : parallel(),
+    state,
+    stats
+  };
+}
+
+module.exports = { hashFeature, loadLinkState, saveLinkState, linkIncremental };
@@ -0,0 +1,102 @@
+const turf = require('@turf/turf');
+const { getPolygons, getLines, getFeatureId } = require('./features');
+const { createSpatialIndex } = require('./spatialIndex');
+const { geoBbox } = require('./antimeridian');
+const { mapChildren } = require('./stages');
+
+// Line children (roads, rivers) are measured by their length inside each
+// parent: the line is cut where it crosses the parent's rings and every
+// piece whose midpoint lies in the parent (boundary included) counts. With
+// `splitLines`, lines are cut at parent boundaries before linking, so each
+// piece is linked on its own.
+
+// Pieces of a LineString feature cut at a polygon's rings, in no particular
+// order; the line itself when it does not cross them
+function cutLine(line, polygon) {
+  const pieces = turf.lineSplit(line, polygon).features.filter(piece => turf.length(piece) > 0);
+  return pieces.length > 0 ? pieces : [line];
+}
+
+function contains(polygon, line) {
+  return turf.booleanPointInPolygon(turf.along(line, turf.length(line) / 2), polygon);
+}
+
+function lengthInside(lines, polygons) {
+  let length = 0;
+  for (const line of lines) {
+    for (const polygon of polygons) {
+      for (const piece of cutLine(line, polygon)) {
+        if (contains(polygon, piece)) length += turf.length(piece);
+      }
+    }
+  }
+  return length;
+}
+
+function totalLength(lines) {
+  return lines.reduce((total, line) => total + turf.length(line), 0);
+}
+
+function toGeometry(pieces) {
+  return pieces.length === 1
+    ? pieces[0].geometry
+    : { type: 'MultiLineString', coordinates: pieces.map(piece => piece.geometry.coordinates) };
+}
+
+// Cut a LineString/MultiLineString feature at the boundaries of the parents
+// its bbox overlaps and group the pieces by the first of those parents that
+// contains them; pieces outside every parent form one more group. Returns
+// the feature itself when it lies in a single group, else one copy per group
+// with `split_part` (1, 2, ...) added to its properties.
+function splitFeature(feature, parents) {
+  const type = feature.geometry && feature.geometry.type;
+  if (type !== 'LineString' && type !== 'MultiLineString') return [feature];
+  const candidates = parents.search(geoBbox(feature));
+  if (candidates.length === 0) return [feature];
+
+  let pieces = getLines(feature);
+  for (const parent of candidates) {
+    for (const polygon of parent.polygons) pieces = pieces.flatMap(piece => cutLine(piece, polygon));
+  }
+  // Groups in parent order, pieces outside every parent last
+  const groups = new Map([...candidates, null].map(parent => [parent, []]));
+  for (const piece of pieces) {
+    const owner = candidates.find(parent => parent.polygons.some(polygon => contains(polygon, piece))) || null;
+    groups.get(owner).push(piece);
+  }
+  const filled = [...groups.values()].filter(group => group.length > 0);
+  if (filled.length < 2) return [feature];
+
+  return filled.map((group, i) => ({
+    ...feature,
+    properties: { ...feature.properties, split_part: i + 1 },
+    geometry: toGeometry(group)
+  }));
+}
+
+function createSplitter(parentFeatures, { level = 1, childIdKey, logger = console } = {}) {
+  const parents = createSpatialIndex(parentFeatures.map(feature => ({
+    bbox: geoBbox(feature),
+    polygons: getPolygons(feature)
+  })));
+  return function split(feature, index) {
+    try {
+      return splitFeature(feature, parents);
+    } catch (e) {
+      logger.warn(`Splitting ADM${level} feature ${index + 1} (${getFeatureId(feature, childIdKey)}) failed:`, e.message);
+      return [feature];
+    }
+  };
+}
+
+// Splitting stage in front of the linker (lib/stages.js), after validateLevel
+function splitLevel(parentFeatures, children, options = {}) {
+  if (!options.splitLines) return { parentFeatures, children };
+  const split = createSplitter(parentFeatures, options);
+  return {
+    parentFeatures,
+    children: mapChildren(children, split, { flat: true })
+  };
+}
+
+module.exports = { lengthInside, totalLength, splitFeature, splitLevel };
@@ -0,0 +1,38 @@
+const { parentPort, workerData } = require('worker_threads');
+const { createLinker } = require('./linker');
+
+// Worker side of lib/parallel.js. Each worker receives all parent features
+// once and builds its own index; batches of children come in as messages.
+// Functions cannot cross the thread boundary, so parents are reported back
+// by their position in the parent array and warnings as argument lists.
+
+const { parentFeatures, options } = workerData;
+const parentIndexes = new Map(parentFeatures.map((feature, i) => [feature, i]));
+const warnings = [];
+let details = null;
+
+const linkFeature = createLinker(parentFeatures, {
+  ...options,
+  logger: {
+    log() {},
+    warn: (...args) => warnings.push(args)
+  },
+  onLink(childFeature, parentFeature, { candidates, match }) {
+    details = {
+      parent: parentFeature ? parentIndexes.get(parentFeature) : null,
+      candidates: candidates && candidates.map(candidate => ({
+        parent: parentIndexes.get(candidate.feature),
+        ratio: candidate.ratio
+      })),
+      match: match && { ...match, conflict: match.conflict ? parentIndexes.get(match.conflict) : null }
+    };
+  }
+});
+
+parentPort.on('message', ({ start, features }) => {
+  const results = features.map((feature, i) => {
+    linkFeature(feature, start + i);
+    return { feature, ...details };
+  });
+  parentPort.postMessage({ results, warnings: warnings.splice(0) });
+});
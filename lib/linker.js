@@ -0,0 +1,282 @@
+const turf = require('@turf/turf');
+const { getPolygons, getLines, getPoints, getDimension, getFeatureId, getFeatureName } = require('./features');
+const { createSpatialIndex } = require('./spatialIndex');
+const { createAttributeMatcher } = require('./attributes');
+const { lengthInside, totalLength } = require('./lines');
+const { geoBbox, geoArea, crossesAntimeridian, splitAtAntimeridian } = require('./antimeridian');
+
+// A feature whose bbox crosses ±180 as matched: split there, as the overlay
+// operations of turf are planar and would take its rings the long way round.
+// Only matching sees the split copy; the feature is written as it is.
+function matchedShape(feature, bbox, { label, logger }) {
+  if (!crossesAntimeridian(bbox)) return feature;
+  try {
+    return splitAtAntimeridian(feature);
+  } catch (e) {
+    logger.warn(`Splitting ${label} at the antimeridian failed:`, e.message);
+    return feature;
+  }
+}
+
+// Precompute bbox and polygon parts once per parent and index them, so each
+// child is only tested against parents whose bbox it overlaps
+function prepareParents(parentFeatures, { level = 1, logger = console } = {}) {
+  return createSpatialIndex(parentFeatures.map((feature, index) => {
+    const bbox = geoBbox(feature);
+    const shape = matchedShape(feature, bbox, { label: `ADM${level - 1} feature ${index + 1}`, logger });
+    return { feature, bbox, polygons: getPolygons(shape) };
+  }));
+}
+
+function intersectionArea(childPolygons, parentPolygons, { index, logger }) {
+  let area = 0;
+  for (const polyChild of childPolygons) {
+    for (const polyParent of parentPolygons) {
+      try {
+        const intersection = turf.intersect(polyChild, polyParent);
+        if (intersection) area += geoArea(intersection);
+      } catch (e) {
+        logger.warn(`Intersection failed for feature ${index + 1}:`, e.message);
+      }
+    }
+  }
+  return area;
+}
+
+function pointsInside(points, parentPolygons) {
+  return points.filter(point => parentPolygons.some(polygon => turf.booleanPointInPolygon(point, polygon))).length;
+}
+
+// How much of a child lies inside a parent, by the child's dimension (see
+// getDimension): area for polygons, length for lines (lib/lines.js) and the
+// number of points for points. `total` is the whole child.
+const measures = {
+  polygon: {
+    parts: getPolygons,
+    total: childFeature => geoArea(childFeature),
+    inside: intersectionArea
+  },
+  line: {
+    parts: getLines,
+    total: (childFeature, parts) => totalLength(parts),
+    inside: lengthInside
+  },
+  point: {
+    parts: getPoints,
+    total: (childFeature, parts) => parts.length,
+    inside: pointsInside
+  }
+};
+
+// Whether any part of a polygon child touches the parent in any way
+function polygonTouches(childPolygons, parent, { index, logger }) {
+  for (const polyChild of childPolygons) {
+    for (const polyParent of parent.polygons) {
+      try {
+        if (
+          turf.booleanWithin(polyChild, polyParent) ||
+          turf.booleanOverlap(polyChild, polyParent) ||
+          turf.booleanIntersects(polyChild, polyParent)
+        ) {
+          return true;
+        }
+      } catch (e) {
+        logger.warn(`Spatial check failed for feature ${index + 1}:`, e.message);
+      }
+    }
+  }
+  return false;
+}
+
+// "first" mode: the first parent that touches the child in any way wins.
+// Points count when they lie in the parent (boundary included) and lines
+// when some of their length does, so a road ending at a border is not
+// pulled over it.
+function findFirstParent(childFeature, parents, context) {
+  const dimension = getDimension(childFeature);
+  if (!dimension) return null;
+  const parts = measures[dimension].parts(childFeature);
+
+  for (const parent of parents.search(childFeature.bbox)) {
+    if (dimension === 'polygon') {
+      if (polygonTouches(parts, parent, context)) return { feature: parent.feature };
+      continue;
+    }
+    try {
+      if (measures[dimension].inside(parts, parent.polygons, context) > 0) return { feature: parent.feature };
+    } catch (e) {
+      context.logger.warn(`Spatial check failed for feature ${context.index + 1}:`, e.message);
+    }
+  }
+  return null;
+}
+
+// Every parent overlapping the child with its share of the child (by area,
+// length or point count), largest share first
+function overlapCandidates(childFeature, parents, context) {
+  const dimension = getDimension(childFeature);
+  if (!dimension) return [];
+  const measure = measures[dimension];
+  const parts = measure.parts(childFeature);
+  const total = measure.total(childFeature, parts);
+  if (total === 0) return [];
+
+  const candidates = [];
+  for (const parent of parents.search(childFeature.bbox)) {
+    let inside = 0;
+    try {
+      inside = measure.inside(parts, parent.polygons, context);
+    } catch (e) {
+      context.logger.warn(`Spatial check failed for feature ${context.index + 1}:`, e.message);
+    }
+    const ratio = inside / total;
+    if (ratio > 0) candidates.push({ feature: parent.feature, ratio: Math.min(ratio, 1) });
+  }
+  return candidates.sort((a, b) => b.ratio - a.ratio);
+}
+
+// "area" mode: the parent covering the largest share of the child wins, so a
+// child that only touches a neighbour along a shared edge is not pulled over.
+function findLargestOverlapParent(childFeature, parents, context) {
+  const candidates = overlapCandidates(childFeature, parents, context);
+  if (candidates.length === 0) return null;
+  return { ...candidates[0], candidates };
+}
+
+const matchers = {
+  first: findFirstParent,
+  area: findLargestOverlapParent
+};
+
+// Values of `geometryMode`, and of `mode` with the attribute modes
+const GEOMETRY_MODES = Object.keys(matchers);
+const MODES = [...GEOMETRY_MODES, 'attribute', 'hybrid'];
+
+// Build a function that links one child feature at a time to a parent
+// feature of the level above, so children can be streamed through it.
+// `level` is the child level; the parent's own ancestors are extended by the
+// parent. `mode` selects the matcher: "first" (default) or "area".
+// `parentIdKey`/`parentNameKey`/`childIdKey` name the source properties to
+// read and `idField`/`nameField` the properties written onto the child.
+// `onLink(childFeature, parentFeature, { index, candidates })` is called after
+// every child, with a null parent when none was found; warnings go to
+// `logger`. With `collectCandidates`, `candidates` lists every overlapping
+// parent with its overlap ratio even in "first" mode.
+//
+// The "attribute" and "hybrid" modes also use the property `joins` of
+// lib/attributes.js, alongside the geometric matcher named by `geometryMode`
+// (default "area"). In "attribute" mode the joins decide and geometry only
+// places the children they cannot; in "hybrid" mode geometry decides and the
+// joins place the children it cannot and cross-check the rest. The child
+// gets `parent_match` (the method that placed it) and `parent_match_conflict`
+// (the parent the joins picked when it differs from the geometric one), and
+// onLink gets `match`: { method, join, score, conflict }, where `join` and
+// `score` describe what the joins found even when geometry decided.
+function createLinker(parentFeatures, options = {}) {
+  const {
+    level = 1,
+    mode = 'first',
+    parentIdKey,
+    parentNameKey,
+    childIdKey,
+    idField = 'parent_id',
+    nameField = 'parent_name',
+    joins,
+    geometryMode = 'area',
+    onLink,
+    collectCandidates = false,
+    logger = console
+  } = options;
+  const byAttributes = mode === 'attribute' || mode === 'hybrid';
+  const geometric = byAttributes ? geometryMode : mode;
+  const findParent = matchers[geometric];
+  if (!findParent) throw new Error(`Unknown matching mode: ${geometric}`);
+  const parents = prepareParents(parentFeatures, { level, logger });
+  const attributes = byAttributes && createAttributeMatcher(parentFeatures, { joins, parentIdKey, parentNameKey });
+
+  // Children without a geometry can still be placed by the joins
+  function matchGeometry(childFeature, context) {
+    return childFeature.geometry ? findParent(childFeature, parents, context) : null;
+  }
+
+  function matchParent(childFeature, shape, context) {
+    if (!attributes) return matchGeometry(shape, context);
+    const attributeMatch = attributes.match(childFeature);
+    if (mode === 'attribute' && attributeMatch) return { ...attributeMatch, method: 'attribute' };
+    const geometryMatch = matchGeometry(shape, context);
+    if (!geometryMatch) return attributeMatch && { ...attributeMatch, method: 'attribute' };
+    if (!attributeMatch) return { ...geometryMatch, method: 'geometry', conflict: null };
+    const conflict = attributeMatch.feature !== geometryMatch.feature ? attributeMatch.feature : null;
+    return { ...geometryMatch, method: 'geometry', join: attributeMatch.join, score: attributeMatch.score, conflict };
+  }
+
+  return function linkFeature(childFeature, index) {
+    if (!childFeature.properties) childFeature.properties = {};
+    if (childFeature.geometry) childFeature.bbox = geoBbox(childFeature);
+    const context = { index, logger };
+    const shape = childFeature.geometry
+      ? matchedShape(childFeature, childFeature.bbox, { label: `ADM${level} feature ${index + 1}`, logger })
+      : childFeature;
+    const match = matchParent(childFeature, shape, context);
+
+    if (match) {
+      const parentFeature = match.feature;
+      const parentId = getFeatureId(parentFeature, parentIdKey);
+      const parentName = getFeatureName(parentFeature, parentNameKey);
+      childFeature.properties[idField] = parentId;
+      childFeature.properties[nameField] = parentName;
+      childFeature.properties.ancestors = [
+        ...((parentFeature.properties || {}).ancestors || []),
+        { level: level - 1, shapeID: parentId, shapeName: parentName }
+      ];
+      if (match.ratio !== undefined) {
+        childFeature.properties.parent_overlap_ratio = Number(match.ratio.toFixed(6));
+      }
+    } else {
+      childFeature.properties[idField] = null;
+      childFeature.properties[nameField] = null;
+      if (geometric === 'area') childFeature.properties.parent_overlap_ratio = 0;
+      childFeature.properties.ancestors = [];
+      logger.warn(`No parent found for ADM${level} feature ${index + 1}: ${getFeatureId(childFeature, childIdKey)}`);
+    }
+    if (attributes) {
+      childFeature.properties.parent_match = match ? match.method : null;
+      childFeature.properties.parent_match_conflict = match && match.conflict
+        ? getFeatureId(match.conflict, parentIdKey)
+        : null;
+    }
+    if (onLink) {
+      let candidates = match && match.candidates;
+      if (!candidates && collectCandidates && childFeature.geometry) candidates = overlapCandidates(shape, parents, context);
+      onLink(childFeature, match ? match.feature : null, {
+        index,
+        candidates,
+        ...(attributes && {
+          match: match && {
+            method: match.method,
+            join: match.join,
+            score: match.score,
+            conflict: match.conflict || null
+          }
+        })
+      });
+    }
+    return childFeature;
+  };
+}
+
+// Link an (async) iterable of children one by one, yielding each linked child
+async function* linkStream(parentFeatures, children, options) {
+  const linkFeature = createLinker(parentFeatures, options);
+  let i = 0;
+  for await (const childFeature of children) {
+    yield linkFeature(childFeature, i++);
+  }
+}
+
+function linkLevel(parentFeatures, childFeatures, options) {
+  childFeatures.forEach(createLinker(parentFeatures, options));
+  return childFeatures;
+}
+
+module.exports = { MODES, GEOMETRY_MODES, createLinker, overlapCandidates, intersectionArea, linkStream, linkLevel };
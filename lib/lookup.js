@@ -0,0 +1,68 @@
+const turf = require('@turf/turf');
+const { getPolygons, getDimension, getFeatureId, getFeatureName } = require('./features');
+const { createSpatialIndex } = require('./spatialIndex');
+const { geoBbox, splitAtAntimeridian } = require('./antimeridian');
+
+// Reverse geocoding over linked levels: given a lon/lat, return the chain
+// ADM0 -> ADMn of units containing it. Every level gets a spatial index; the
+// point is tested against the deepest level first and the chain above it is
+// taken from the matched feature's `ancestors`. When the point falls in a gap
+// of a deeper level, the next level up answers instead. Units crossing the
+// antimeridian are tested split at ±180 (lib/antimeridian.js), as
+// turf.booleanPointInPolygon would otherwise take their rings the long way
+// round.
+class PointLookup {
+  constructor(levels, { idKey, nameKey } = {}) {
+    this.keys = { idKey, nameKey };
+    this.levels = levels.map(level => {
+      const features = Array.isArray(level) ? level : level.features;
+      // By their own bbox rather than one stored with them, which may span the
+      // globe (turf.bbox) where they cross ±180. Only polygonal units can
+      // contain a point; point and line units of a level are left out.
+      const polygonal = features.filter(feature => getDimension(feature) === 'polygon');
+      return createSpatialIndex(polygonal, feature => geoBbox(feature));
+    });
+    // The polygons of the units tested so far, split at ±180 where they cross it
+    this.shapes = new Map();
+  }
+
+  // Against the polygon geometries alone, as booleanPointInPolygon first
+  // checks a feature's bbox, which it cannot read when it crosses ±180
+  contains(feature, point) {
+    let polygons = this.shapes.get(feature);
+    if (!polygons) {
+      polygons = getPolygons(splitAtAntimeridian(feature)).map(polygon => polygon.geometry);
+      this.shapes.set(feature, polygons);
+    }
+    return polygons.some(polygon => turf.booleanPointInPolygon(point, polygon));
+  }
+
+  // The deepest feature containing the point, with its level, or null
+  locate(lon, lat) {
+    const point = turf.point([lon, lat]);
+    for (let level = this.levels.length - 1; level >= 0; level--) {
+      const candidates = this.levels[level].search([lon, lat, lon, lat]);
+      const feature = candidates.find(candidate => this.contains(candidate, point));
+      if (feature) return { level, feature };
+    }
+    return null;
+  }
+
+  // [{ level, shapeID, shapeName }, ...] from the top level down to the
+  // deepest unit containing the point; empty when nothing contains it
+  lookup(lon, lat) {
+    const match = this.locate(lon, lat);
+    if (!match) return [];
+    const { level, feature } = match;
+    return [
+      ...(feature.properties.ancestors || []),
+      {
+        level,
+        shapeID: getFeatureId(feature, this.keys.idKey),
+        shapeName: getFeatureName(feature, this.keys.nameKey)
+      }
+    ];
+  }
+}
+
+module.exports = { PointLookup };
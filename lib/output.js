@@ -0,0 +1,99 @@
+const path = require('path');
+const { createWriter, isTable } = require('./writers');
+const { shrinkFeatures, shrinkFeature } = require('./simplify');
+
+// Size options for written levels (see lib/simplify.js):
+//
+//   { simplify: 0.001, precision: 5, bbox: false, variants: [{ name: 'z4', simplify: 0.05, precision: 3 }] }
+//
+// `simplify` is a tolerance in degrees, `precision` a number of decimals, and
+// `bbox: false` drops the per-feature bbox. Each variant is one more file per
+// output with its own tolerance and precision, e.g. adm2.z4.geojson next to
+// adm2.geojson. Lookup tables carry no geometry and are written as they are.
+
+function validateSize(size, label) {
+  if (size.simplify !== undefined && !(typeof size.simplify === 'number' && size.simplify >= 0)) {
+    throw new Error(`Invalid simplification tolerance for ${label}: ${size.simplify}`);
+  }
+  if (size.precision !== undefined && !(Number.isInteger(size.precision) && size.precision >= 0)) {
+    throw new Error(`Invalid precision for ${label}: ${size.precision}`);
+  }
+  return size;
+}
+
+// "<name>:<tolerance>[:<precision>]", as given to --variant
+function parseVariant(spec) {
+  const [name, simplify, precision, ...rest] = spec.split(':');
+  if (!name || !simplify || rest.length > 0) throw new Error(`Invalid variant: ${spec} (expected <name>:<tolerance>[:<precision>])`);
+  return validateVariant({ name, simplify: Number(simplify), ...(precision !== undefined && { precision: Number(precision) }) });
+}
+
+function validateVariant(variant) {
+  if (typeof variant.name !== 'string' || !/^[\w-]+$/.test(variant.name)) throw new Error(`Invalid variant name: ${variant.name}`);
+  return validateSize(variant, `variant ${variant.name}`);
+}
+
+// adm2.geojson -> adm2.z4.geojson
+function variantFile(file, name) {
+  const extension = path.extname(file);
+  return `${file.slice(0, file.length - extension.length)}.${name}${extension}`;
+}
+
+// The files to write for `outputs` ({ file, format }): each output with the
+// size options, followed by its variants
+function sizedOutputs(outputs, { simplify, precision, bbox = true, variants = [] } = {}) {
+  validateSize({ simplify, precision }, 'output');
+  variants.forEach(validateVariant);
+  return outputs.flatMap(output => [
+    { ...output, size: { simplify, precision, bbox } },
+    ...(isTable(output.format) ? [] : variants.map(variant => ({
+      file: variantFile(output.file, variant.name),
+      format: output.format,
+      size: { simplify: variant.simplify, precision: variant.precision, bbox }
+    })))
+  ]);
+}
+
+// Whether written features differ in geometry from the linked ones
+function changesGeometry(size = {}) {
+  return Boolean(size.simplify) || size.precision !== undefined;
+}
+
+const deferred = output => Boolean(output.size && output.size.simplify) && !isTable(output.format);
+const shrinks = output => !isTable(output.format) && output.size && (changesGeometry(output.size) || output.size.bbox === false);
+
+// Write linked features to every output ({ file, format, size }), shaped by
+// `shape` when given (lookup tables excepted) and shrunk by their size
+// options. Simplified outputs need the whole level and are written once all
+// features are in. `keep` collects the features as linked, as parents for
+// the next level; `open(output)` may stand in for createWriter. Returns the
+// number of features. Nothing is opened before the first feature is linked,
+// so a run failing up front leaves no output behind.
+async function writeOutputs(outputs, features, { writerOptions, shape, keep, open } = {}) {
+  const openWriter = output => open ? open(output) : createWriter(output.file, output.format, writerOptions);
+  let writers = null;
+  const streamed = () => writers ||
+    (writers = outputs.filter(output => !deferred(output)).map(output => ({ output, writer: openWriter(output) })));
+  const collected = outputs.some(deferred) ? [] : null;
+  let count = 0;
+  for await (const feature of features) {
+    const shaped = shape ? shape(feature) : feature;
+    for (const { output, writer } of streamed()) {
+      if (isTable(output.format)) await writer.write(feature);
+      else await writer.write(shrinks(output) ? shrinkFeature(shaped, output.size) : shaped);
+    }
+    if (collected) collected.push(shaped);
+    if (keep) keep.push(feature);
+    count++;
+  }
+  for (const { writer } of streamed()) await writer.end();
+
+  for (const output of outputs.filter(deferred)) {
+    const writer = openWriter(output);
+    for (const feature of shrinkFeatures(collected, output.size)) await writer.write(feature);
+    await writer.end();
+  }
+  return count;
+}
+
+module.exports = { parseVariant, validateVariant, variantFile, sizedOutputs, changesGeometry, writeOutputs };
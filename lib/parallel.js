@@ -0,0 +1,137 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { linkStream } = require('./linker');
+const { validateLevel } = require('./geometry');
+const { splitLevel } = require('./lines');
+const { antimeridianLevel } = require('./antimeridian');
+
+function resolveWorkerCount(workers) {
+  if (workers === 'auto') return os.availableParallelism();
+  const count = Number(workers);
+  if (!Number.isInteger(count) || count < 1) throw new Error(`Invalid worker count: ${workers}`);
+  return count;
+}
+
+// Run one batch on a worker and wait for its reply
+function runBatch(worker, batch) {
+  return new Promise((resolve, reject) => {
+    const onError = error => {
+      worker.off('message', onMessage);
+      reject(error);
+    };
+    const onMessage = message => {
+      worker.off('error', onError);
+      resolve(message);
+    };
+    worker.once('message', onMessage);
+    worker.once('error', onError);
+    worker.postMessage(batch);
+  });
+}
+
+const BATCH_SIZE = 256;
+
+// Among the children given to linkParallel: send the batch gathered so far
+// and hand back every child in flight, then FLUSH itself, for callers
+// holding other children back until those come back (lib/incremental.js)
+const FLUSH = Symbol('flush');
+
+// Link children across a pool of worker threads. Children are cut into
+// batches and handed to whichever worker is idle; finished batches are
+// yielded strictly in input order, and at most one batch per worker is held
+// back waiting for an earlier one, so memory stays bounded. `onLink` and
+// `logger` run on the calling thread; other options go to createLinker in
+// each worker and must be plain data.
+async function* linkParallel(parentFeatures, children, options = {}) {
+  const { workers = 'auto', batchSize = BATCH_SIZE, onLink, logger = console, ...linkerOptions } = options;
+  const workerCount = resolveWorkerCount(workers);
+
+  const pool = Array.from({ length: workerCount }, () => new Worker(path.join(__dirname, 'linkWorker.js'), {
+    workerData: { parentFeatures, options: linkerOptions }
+  }));
+  const idle = [...pool];
+  const waiting = [];
+  const acquire = () => idle.length > 0 ? Promise.resolve(idle.pop()) : new Promise(resolve => waiting.push(resolve));
+  const release = worker => {
+    const next = waiting.shift();
+    if (next) next(worker);
+    else idle.push(worker);
+  };
+
+  const inFlight = [];
+  const dispatch = async (features, start) => {
+    const worker = await acquire();
+    const result = runBatch(worker, { start, features }).finally(() => release(worker));
+    result.catch(() => {}); // rejection is surfaced when the batch is awaited in order
+    inFlight.push({ start, result });
+  };
+
+  function* emit({ start, message }) {
+    for (const args of message.warnings) logger.warn(...args);
+    for (let i = 0; i < message.results.length; i++) {
+      const { feature, parent, candidates, match } = message.results[i];
+      if (onLink) {
+        onLink(feature, parent === null ? null : parentFeatures[parent], {
+          index: start + i,
+          candidates: candidates && candidates.map(candidate => ({
+            feature: parentFeatures[candidate.parent],
+            ratio: candidate.ratio
+          })),
+          ...(match !== undefined && {
+            match: match && { ...match, conflict: match.conflict === null ? null : parentFeatures[match.conflict] }
+          })
+        });
+      }
+      yield feature;
+    }
+  }
+
+  async function* next() {
+    const { start, result } = inFlight.shift();
+    yield* emit({ start, message: await result });
+  }
+
+  try {
+    let batch = [];
+    let start = 0;
+    for await (const feature of children) {
+      if (feature === FLUSH) {
+        if (batch.length > 0) await dispatch(batch, start);
+        start += batch.length;
+        batch = [];
+        while (inFlight.length > 0) yield* next();
+        yield FLUSH;
+        continue;
+      }
+      batch.push(feature);
+      if (batch.length < batchSize) continue;
+      await dispatch(batch, start);
+      start += batch.length;
+      batch = [];
+      while (inFlight.length > workerCount) yield* next();
+    }
+    if (batch.length > 0) await dispatch(batch, start);
+    while (inFlight.length > 0) yield* next();
+  } finally {
+    await Promise.all(pool.map(worker => worker.terminate()));
+  }
+}
+
+// Sequential for one worker, parallel otherwise. With `validate` or
+// `repair`, parents and children first pass the geometry checks of
+// lib/geometry.js, which report to `onValidate` and the logger; with
+// `splitAntimeridian`, both are then cut at ±180 (lib/antimeridian.js), and
+// with `splitLines`, line children are cut at parent boundaries
+// (lib/lines.js).
+function linkFeatures(parents, features, options = {}) {
+  const { validate, repair, onValidate, splitAntimeridian, splitLines, ...linkOptions } = options;
+  const validated = validateLevel(parents, features, options);
+  const unwrapped = antimeridianLevel(validated.parentFeatures, validated.children, options);
+  const { parentFeatures, children } = splitLevel(unwrapped.parentFeatures, unwrapped.children, options);
+  const { workers = 1, ...rest } = linkOptions;
+  if (resolveWorkerCount(workers) === 1) return linkStream(parentFeatures, children, rest);
+  return linkParallel(parentFeatures, children, linkOptions);
+}
+
+module.exports = { BATCH_SIZE, FLUSH, resolveWorkerCount, linkParallel, linkFeatures };
@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const YAML = require('yaml');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { linkFeatures } = require('./parallel');
+const { linkIncremental, loadLinkState, saveLinkState } = require('./incremental');
+const { readFeatureFile, readAllFeatures } = require('./readers');
+const { extensionFor, isReadable } = require('./writers');
+const { LinkReport, writeReport } = require('./report');
+const { compileSchema, loadSchema, validateSchema } = require('./schema');
+const { sizedOutputs, changesGeometry, writeOutputs } = require('./output');
+
+// A pipeline definition is a JSON or YAML (.yaml, .yml) file describing one
+// country:
+//
+//   {
+//     "name": "IND",
+//     "outDir": "out/IND",
+//     "mode": "area",
+//     "format": ["geojson", "ndjson"],
+//     "levels": [
+//       { "name": "ADM0", "url": "https://...", "sha256": "..." },
+//       { "name": "ADM1", "path": "geoBoundaries-IND-ADM1_simplified.geojson" }
+//     ]
+//   }
+//
+// A level may give a local `path`, a `url`, or both (the path is used when it
+// exists, so pre-fetched files can stand in for downloads). Relative paths are
+// resolved against the definition file. Sources may be in any format of
+// lib/readers; a level can set "inputFormat" to override the extension and
+// "layer" to pick a layer of a zip or TopoJSON file. "outDir" and "cacheDir"
+// are resolved against the definition file too, while --out-dir and
+// --cache-dir (options.outDir/cacheDir) are resolved against the current
+// directory.
+//
+// "format" takes any format of lib/writers (geojson, ndjson, geojsonseq, csv,
+// table, topojson, flatgeobuf). Optional keys: cacheDir, idKey, nameKey,
+// idField, nameField, workers, validate/repair (geometry checks, see
+// lib/geometry.js), splitAntimeridian (cut geometries crossing ±180, see
+// lib/antimeridian.js), splitLines (cut line children at parent boundaries,
+// see lib/lines.js), report (true to write a linkage report per level next
+// to its output) and incremental (true to keep a link state per level and
+// only relink the children that changed, see lib/incremental.js).
+//
+// The "attribute" and "hybrid" modes take "joins" (see lib/attributes.js) and
+// optionally "geometryMode". Codes usually differ from level to level, so a
+// level may give its own "joins" in place of the top-level ones.
+//
+// "schema" shapes the properties written (see lib/schema.js), given inline or
+// as the path of a JSON file; a level may give its own. Shaped outputs are
+// not reloaded as parents, so an unchanged level with a schema is only
+// skipped when it is the deepest.
+//
+// "simplify", "precision", "dropBbox" and "variants" ([{ "name", "simplify",
+// "precision" }]) make the written files smaller (see lib/output.js); a level
+// may give its own. Like shaped ones, outputs with changed geometry are not
+// reloaded as parents, so the next level is always linked against the
+// original geometry.
+
+const STATE_FILE = '.pipeline-state.json';
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+async function hashFile(file) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+function loadPipeline(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const definition = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  if (!definition || typeof definition !== 'object') throw new Error(`${file}: expected a pipeline definition object`);
+  if (!Array.isArray(definition.levels) || definition.levels.length < 2) {
+    throw new Error(`${file}: "levels" must list at least two levels`);
+  }
+  definition.levels.forEach((level, i) => {
+    if (!level.path && !level.url) throw new Error(`${file}: level ${i} needs a "path" or a "url"`);
+  });
+  const baseDir = path.dirname(path.resolve(file));
+  return { ...definition, baseDir };
+}
+
+// Cached downloads are keyed by the URL plus its expected hash, so pinning a
+// different hash for the same URL never reuses a stale file. The URL's
+// extension is kept so the right reader is picked for zips and the like.
+function cachePath(cacheDir, level) {
+  const extension = path.extname(new URL(level.url).pathname) || '.geojson';
+  return path.join(cacheDir, `${sha256(`${level.url}#${level.sha256 || ''}`)}${extension}`);
+}
+
+async function download(url, file, logger) {
+  logger.log(`Downloading ${url}`);
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Download failed for ${url}: HTTP ${res.status}`);
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(tmpFile));
+  fs.renameSync(tmpFile, file);
+}
+
+// Resolve a level to a local file and its content hash
+async function resolveSource(level, { baseDir, cacheDir, offline, logger }) {
+  const localPath = level.path && path.resolve(baseDir, level.path);
+  let file;
+
+  if (localPath && fs.existsSync(localPath)) {
+    file = localPath;
+  } else if (level.url) {
+    file = cachePath(cacheDir, level);
+    if (!fs.existsSync(file)) {
+      if (offline) throw new Error(`${level.url} is not in the cache (${file}) and --offline is set`);
+      fs.mkdirSync(cacheDir, { recursive: true });
+      await download(level.url, file, logger);
+    }
+  } else {
+    throw new Error(`Input file not found: ${localPath}`);
+  }
+
+  const hash = await hashFile(file);
+  if (level.sha256 && level.sha256 !== hash) {
+    throw new Error(`Checksum mismatch for ${level.url || file}: expected ${level.sha256}, got ${hash}`);
+  }
+  return { file, hash };
+}
+
+// An inline schema, or one read from a path relative to the definition
+function resolveSchema(schema, baseDir) {
+  if (schema === undefined) return null;
+  if (typeof schema === 'string') return loadSchema(path.resolve(baseDir, schema));
+  validateSchema(schema);
+  return schema;
+}
+
+// The size options of a level, over those of the whole definition
+function resolveSize(definition, level) {
+  const pick = key => level[key] !== undefined ? level[key] : definition[key];
+  return {
+    simplify: pick('simplify'),
+    precision: pick('precision'),
+    bbox: !pick('dropBbox'),
+    variants: pick('variants') || []
+  };
+}
+
+// Resolve every source, then link level by level. A level whose inputs,
+// upstream levels and options are unchanged since the last run (tracked in
+// <outDir>/.pipeline-state.json) is skipped and its previous output reused.
+async function runPipeline(pipelineFile, options = {}) {
+  const logger = options.logger || console;
+  const definition = loadPipeline(pipelineFile);
+  const { baseDir, levels } = definition;
+  const outDir = options.outDir ? path.resolve(options.outDir) : path.resolve(baseDir, definition.outDir || '.');
+  const cacheDir = options.cacheDir
+    ? path.resolve(options.cacheDir)
+    : path.resolve(baseDir, definition.cacheDir || '.cache/geojson-parent-linker');
+  const formats = [].concat(definition.format || 'geojson');
+  const workers = options.workers || definition.workers || 1;
+
+  const sources = [];
+  for (const level of levels) {
+    sources.push(await resolveSource(level, { baseDir, cacheDir, offline: options.offline, logger }));
+  }
+  if (options.fetchOnly) {
+    logger.log(`All ${sources.length} sources are available in ${cacheDir}`);
+    return { outDir, steps: [] };
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const statePath = path.join(outDir, STATE_FILE);
+  const state = fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : {};
+
+  const linkerOptions = {
+    mode: definition.mode || 'first',
+    geometryMode: definition.geometryMode,
+    parentIdKey: definition.idKey,
+    parentNameKey: definition.nameKey,
+    childIdKey: definition.idKey,
+    childNameKey: definition.nameKey,
+    idField: definition.idField,
+    nameField: definition.nameField,
+    validate: definition.validate,
+    repair: definition.repair,
+    splitAntimeridian: definition.splitAntimeridian,
+    splitLines: definition.splitLines,
+    logger
+  };
+  const optionsKey = JSON.stringify({ ...linkerOptions, logger: undefined, formats });
+
+  const deepest = levels.length - 1;
+  const steps = [];
+  const readOptions = i => ({ format: levels[i].inputFormat, layer: levels[i].layer });
+  // The layer read from a source is part of its identity
+  const sourceKey = i => (levels[i].layer || levels[i].inputFormat)
+    ? `${sources[i].hash}#${levels[i].layer || ''}#${levels[i].inputFormat || ''}`
+    : sources[i].hash;
+  let parentFeatures = await readAllFeatures(sources[0].file, readOptions(0));
+  let upstreamKey = sourceKey(0);
+
+  for (let i = 1; i <= deepest; i++) {
+    const name = levels[i].name || `ADM${i}`;
+    const size = resolveSize(definition, levels[i]);
+    const outputs = sizedOutputs(formats.map(format => ({
+      format,
+      file: path.join(outDir, `${name.toLowerCase()}_with_parent.${extensionFor(format)}`)
+    })), size);
+    const schema = resolveSchema(levels[i].schema || definition.schema, baseDir);
+    // Parents of the next level can only be reloaded from a GeoJSON output
+    // written as linked
+    const reloadFrom = !schema && !changesGeometry(size) && outputs.find(output => isReadable(output.format));
+    const reportFile = path.join(outDir, `${name.toLowerCase()}_report.json`);
+    const stateFile = path.join(outDir, `${name.toLowerCase()}_link_state.json`);
+    const joins = levels[i].joins || definition.joins;
+    let levelKey = joins ? `${optionsKey}|${JSON.stringify(joins)}` : optionsKey;
+    if (schema) levelKey += `|${JSON.stringify(schema)}`;
+    if (changesGeometry(size) || !size.bbox || size.variants.length > 0) levelKey += `|${JSON.stringify(size)}`;
+    const stepKey = sha256(`${upstreamKey}|${sourceKey(i)}|${levelKey}|${Boolean(definition.report)}`);
+    const unchanged = !options.force &&
+      state[name] === stepKey &&
+      outputs.every(output => fs.existsSync(output.file)) &&
+      (i === deepest || Boolean(reloadFrom));
+
+    const report = definition.report && !unchanged && new LinkReport({ ...linkerOptions, level: i, parentFeatures });
+    const stepOptions = {
+      ...linkerOptions,
+      joins,
+      level: i,
+      ...(report && {
+        onLink: report.record.bind(report),
+        onValidate: report.recordGeometry.bind(report),
+        collectCandidates: true
+      })
+    };
+
+    if (unchanged) {
+      logger.log(`${name}: unchanged, skipping`);
+      if (i < deepest) parentFeatures = await readAllFeatures(reloadFrom.file);
+    } else {
+      logger.log(`${name}: linking to ${parentFeatures.length} parents`);
+      const kept = i < deepest ? [] : null;
+      const children = readFeatureFile(sources[i].file, readOptions(i));
+      // --force relinks everything, so the previous link state is not consulted
+      const incremental = definition.incremental && linkIncremental(parentFeatures, children, {
+        ...stepOptions,
+        workers,
+        previous: options.force ? null : loadLinkState(stateFile)
+      });
+      const linked = incremental ? incremental.features : linkFeatures(parentFeatures, children, { ...stepOptions, workers });
+      const count = await writeOutputs(outputs, linked, {
+        writerOptions: {
+          idKey: definition.idKey,
+          nameKey: definition.nameKey,
+          idField: definition.idField,
+          nameField: definition.nameField,
+          logger
+        },
+        shape: schema && compileSchema(schema, { idKey: definition.idKey, logger }),
+        keep: kept
+      });
+      logger.log(`${name}: ${count} features written`);
+      if (incremental) {
+        saveLinkState(stateFile, incremental.state);
+        logger.log(`${name}: ${incremental.stats.relinked} linked, ${incremental.stats.reused} reused`);
+      }
+      if (kept) parentFeatures = kept;
+    }
+
+    if (report) writeReport(report, reportFile, logger);
+    if (!unchanged) {
+      state[name] = stepKey;
+      fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+    }
+    steps.push({ name, skipped: unchanged, outputs: outputs.map(output => output.file) });
+    upstreamKey = stepKey;
+  }
+
+  return { outDir, steps };
+}
+
+module.exports = { loadPipeline, resolveSource, runPipeline };
@@ -0,0 +1,11 @@
+const fs = require('fs');
+const { Readable } = require('stream');
+
+// FlatGeobuf, streamed feature by feature (the spatial index, if any, is
+// skipped). The flatgeobuf package is ESM-only.
+async function* readFlatGeobuf(file) {
+  const { deserialize } = await import('flatgeobuf/lib/mjs/geojson.js');
+  yield* deserialize(Readable.toWeb(fs.createReadStream(file)));
+}
+
+module.exports = { readFlatGeobuf };
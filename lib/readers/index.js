@@ -0,0 +1,66 @@
+const fs = require('fs');
+const { readFeatures, readNdjsonFeatures } = require('../geojsonStream');
+const { readShapefile } = require('./shapefile');
+const { readTopoJson } = require('./topojson');
+const { readFlatGeobuf } = require('./flatgeobuf');
+
+// Input formats by name. A reader is an async generator function
+// (file, { layer }) yielding GeoJSON features, so every format feeds the
+// linker the same way.
+const readers = {
+  geojson: readFeatures,
+  ndjson: readNdjsonFeatures,
+  shapefile: readShapefile,
+  topojson: readTopoJson,
+  flatgeobuf: readFlatGeobuf
+};
+
+const extensions = [
+  [/\.(ndjson|jsonl|geojsonl|geojsons)$/i, 'ndjson'],
+  [/\.(shp|zip)$/i, 'shapefile'],
+  [/\.topojson$/i, 'topojson'],
+  [/\.fgb$/i, 'flatgeobuf']
+];
+
+function registerReader(format, reader, pattern) {
+  readers[format] = reader;
+  if (pattern) extensions.unshift([pattern, format]);
+}
+
+// Format from the file extension; anything unknown is read as a FeatureCollection
+function formatFromFile(file) {
+  const match = extensions.find(([pattern]) => pattern.test(file));
+  return match ? match[1] : 'geojson';
+}
+
+// "file#layer" picks a layer of a multi-layer source (a zip of Shapefiles, a
+// TopoJSON topology) when no file of that exact name exists
+function parseSource(source) {
+  const match = /^(.+)#([^#/\\]+)$/.exec(source);
+  if (match && !fs.existsSync(source)) return { file: match[1], layer: match[2] };
+  return { file: source };
+}
+
+// Yield the features of any supported file; `format` overrides the extension
+function readFeatureFile(source, { format, layer } = {}) {
+  const parsed = parseSource(source);
+  const name = format || formatFromFile(parsed.file);
+  const reader = readers[name];
+  if (!reader) throw new Error(`Unknown input format: ${name} (expected one of ${Object.keys(readers).join(', ')})`);
+  return reader(parsed.file, { layer: layer === undefined ? parsed.layer : layer });
+}
+
+async function readAllFeatures(source, options) {
+  const features = [];
+  for await (const feature of readFeatureFile(source, options)) features.push(feature);
+  return features;
+}
+
+module.exports = {
+  readers,
+  registerReader,
+  formatFromFile,
+  parseSource,
+  readFeatureFile,
+  readAllFeatures
+};
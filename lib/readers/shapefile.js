@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+// Shapefiles, either a .shp with its .dbf/.prj/.cpg next to it or a .zip
+// holding one or more of them. Geometries are reprojected to WGS84 when a
+// .prj is present. shpjs is ESM-only and parses a layer in one go, so a layer
+// is held in memory while its features are yielded.
+
+function loadShpjs() {
+  return import('shpjs');
+}
+
+function readSidecar(base, extension) {
+  for (const ext of [extension, extension.toUpperCase()]) {
+    const file = `${base}.${ext}`;
+    if (fs.existsSync(file)) return fs.readFileSync(file);
+  }
+  return undefined;
+}
+
+// Pick a layer of a multi-layer archive by name, with or without the
+// directory it sits in inside the zip
+function selectLayer(layers, layer, file) {
+  if (!Array.isArray(layers)) layers = [layers];
+  const names = layers.map(collection => collection.fileName);
+  if (layer === undefined) {
+    if (layers.length === 1) return layers[0];
+    throw new Error(`${file} holds ${layers.length} layers (${names.join(', ')}); pick one with ${file}#<layer>`);
+  }
+  const found = layers.find(collection =>
+    collection.fileName === layer || path.posix.basename(collection.fileName) === layer);
+  if (!found) throw new Error(`Layer "${layer}" not found in ${file} (layers: ${names.join(', ')})`);
+  return found;
+}
+
+async function* readShapefile(file, { layer } = {}) {
+  const shp = await loadShpjs();
+  let collection;
+  if (/\.zip$/i.test(file)) {
+    collection = selectLayer(await shp.parseZip(fs.readFileSync(file)), layer, file);
+  } else {
+    const base = file.replace(/\.shp$/i, '');
+    const prj = readSidecar(base, 'prj');
+    const cpg = readSidecar(base, 'cpg');
+    collection = await shp.getShapefile({
+      shp: fs.readFileSync(file),
+      dbf: readSidecar(base, 'dbf'),
+      prj: prj && prj.toString('utf8'),
+      cpg: cpg && cpg.toString('utf8')
+    });
+  }
+  yield* collection.features;
+}
+
+module.exports = { readShapefile };
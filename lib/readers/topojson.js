@@ -0,0 +1,20 @@
+const fs = require('fs');
+const { feature } = require('topojson-client');
+
+// TopoJSON, as written by lib/writers/topojson.js or mapshaper. A topology
+// holding several objects needs `layer` to pick one.
+async function* readTopoJson(file, { layer } = {}) {
+  const topology = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  if (topology.type !== 'Topology') throw new Error(`${file} is not a TopoJSON topology`);
+  const names = Object.keys(topology.objects);
+  const name = layer === undefined && names.length === 1 ? names[0] : layer;
+  if (name === undefined) {
+    throw new Error(`${file} holds ${names.length} objects (${names.join(', ')}); pick one with ${file}#<object>`);
+  }
+  if (!topology.objects[name]) throw new Error(`Object "${name}" not found in ${file} (objects: ${names.join(', ')})`);
+
+  const converted = feature(topology, topology.objects[name]);
+  yield* converted.type === 'FeatureCollection' ? converted.features : [converted];
+}
+
+module.exports = { readTopoJson };
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const { getFeatureId, getFeatureName } = require('./features');
+
+// The lists of per-child entries, which checkpoints log rather than carry
+const ENTRY_LISTS = ['unmatched', 'ambiguous', 'groupingFailures', 'geometryDefects', 'disagreements'];
+
+// Collects the outcome of linking one level so a release can be signed off
+// from a single report instead of the console log: unmatched children,
+// children overlapping more than one parent, parents left without children,
+// children whose matched grandparent has no parents indexed under its id
+// (grouping by parent id failed) and, when geometry validation is on,
+// defective geometries and what was done about them. In the attribute and
+// hybrid modes it also counts how children were placed and lists those whose
+// property joins disagree with geometry.
+class LinkReport {
+  constructor({ level = 1, parentFeatures = [], parentIdKey, parentNameKey, childIdKey, childNameKey } = {}) {
+    this.level = level;
+    this.keys = { parentIdKey, parentNameKey, childIdKey, childNameKey };
+    this.childCounts = new Map(parentFeatures.map(feature => [getFeatureId(feature, parentIdKey), 0]));
+    this.parentNames = new Map(parentFeatures.map(feature => [
+      getFeatureId(feature, parentIdKey),
+      getFeatureName(feature, parentNameKey)
+    ]));
+    this.total = 0;
+    this.unmatched = [];
+    this.ambiguous = [];
+    this.groupingFailures = [];
+    this.geometryDefects = [];
+    this.matchedBy = null;
+    this.disagreements = [];
+  }
+
+  describeChild(childFeature, index) {
+    return {
+      index,
+      id: getFeatureId(childFeature, this.keys.childIdKey),
+      name: getFeatureName(childFeature, this.keys.childNameKey)
+    };
+  }
+
+  // Matches the createLinker onLink signature, so it can be passed straight in
+  record(childFeature, parentFeature, { index, candidates, match } = {}) {
+    this.total++;
+    if (match !== undefined) this.recordMatch(childFeature, parentFeature, index, match);
+    if (!parentFeature) {
+      this.unmatched.push(this.describeChild(childFeature, index));
+      return;
+    }
+
+    const parentId = getFeatureId(parentFeature, this.keys.parentIdKey);
+    this.childCounts.set(parentId, (this.childCounts.get(parentId) || 0) + 1);
+
+    if (candidates && candidates.length > 1) {
+      this.ambiguous.push({
+        ...this.describeChild(childFeature, index),
+        parent_id: parentId,
+        candidates: candidates.map(candidate => ({
+          id: getFeatureId(candidate.feature, this.keys.parentIdKey),
+          name: getFeatureName(candidate.feature, this.keys.parentNameKey),
+          ratio: Number(candidate.ratio.toFixed(6))
+        }))
+      });
+    }
+  }
+
+  recordMatch(childFeature, parentFeature, index, match) {
+    if (!this.matchedBy) this.matchedBy = { attribute: 0, geometry: 0 };
+    if (!match) return;
+    this.matchedBy[match.method]++;
+    if (!match.conflict) return;
+    const describe = feature => ({
+      id: getFeatureId(feature, this.keys.parentIdKey),
+      name: getFeatureName(feature, this.keys.parentNameKey)
+    });
+    this.disagreements.push({
+      ...this.describeChild(childFeature, index),
+      geometry: describe(parentFeature),
+      attribute: { ...describe(match.conflict), join: match.join }
+    });
+  }
+
+  recordGroupingFailure(childFeature, index, group) {
+    this.groupingFailures.push({ ...this.describeChild(childFeature, index), group });
+  }
+
+  // Matches the onValidate signature of lib/geometry.js
+  recordGeometry(feature, { issues, fixed, remaining }, { role, index }) {
+    const idKey = role === 'parent' ? this.keys.parentIdKey : this.keys.childIdKey;
+    const nameKey = role === 'parent' ? this.keys.parentNameKey : this.keys.childNameKey;
+    this.geometryDefects.push({
+      role,
+      index,
+      id: getFeatureId(feature, idKey),
+      name: getFeatureName(feature, nameKey),
+      issues: [...new Set(issues.map(issue => issue.type))],
+      fixed,
+      remaining: [...new Set(remaining.map(issue => issue.type))]
+    });
+  }
+
+  // What has been recorded, for a checkpoint (lib/checkpoint.js) taken after
+  // the first `before` children: the counts as plain data, while the entries
+  // recorded since the last checkpoint are appended to `logFile`, so that a
+  // checkpoint stays small however many entries there are. Defects of later
+  // children, validated ahead of linking, and of parents are recorded again
+  // on resume.
+  snapshot(before, logFile) {
+    if (!this.logged) this.logged = { bytes: 0, counts: {} };
+    const lines = [];
+    for (const list of ENTRY_LISTS) {
+      const entries = list === 'geometryDefects'
+        ? this.geometryDefects.filter(defect => defect.role === 'child' && defect.index < before)
+        : this[list];
+      for (const entry of entries.slice(this.logged.counts[list] || 0)) lines.push(`${JSON.stringify([list, entry])}\n`);
+      this.logged.counts[list] = entries.length;
+    }
+    if (lines.length > 0) {
+      const text = lines.join('');
+      fs.appendFileSync(logFile, text);
+      this.logged.bytes += Buffer.byteLength(text);
+    }
+    return {
+      total: this.total,
+      childCounts: [...this.childCounts],
+      matchedBy: this.matchedBy,
+      log: { bytes: this.logged.bytes, counts: { ...this.logged.counts } }
+    };
+  }
+
+  // Entries logged after the snapshot, by a run cut off before its next
+  // checkpoint, are cut from `logFile`
+  restore(snapshot, logFile) {
+    const { log, ...counts } = snapshot;
+    if (fs.existsSync(logFile)) fs.truncateSync(logFile, log.bytes);
+    const entries = Object.fromEntries(ENTRY_LISTS.map(list => [list, []]));
+    const text = log.bytes > 0 ? fs.readFileSync(logFile, 'utf8') : '';
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      const [list, entry] = JSON.parse(line);
+      entries[list].push(entry);
+    }
+    Object.assign(this, counts, entries, {
+      childCounts: new Map(snapshot.childCounts),
+      logged: { bytes: log.bytes, counts: { ...log.counts } }
+    });
+  }
+
+  childlessParents() {
+    return [...this.childCounts]
+      .filter(([, count]) => count === 0)
+      .map(([id]) => ({ id, name: this.parentNames.get(id) }));
+  }
+
+  toJSON() {
+    const childlessParents = this.childlessParents();
+    return {
+      level: this.level,
+      totals: {
+        children: this.total,
+        matched: this.total - this.unmatched.length,
+        unmatched: this.unmatched.length,
+        ambiguous: this.ambiguous.length,
+        childlessParents: childlessParents.length,
+        groupingFailures: this.groupingFailures.length,
+        geometryDefects: this.geometryDefects.length,
+        geometryRepaired: this.geometryDefects.filter(defect => defect.remaining.length === 0).length,
+        ...(this.matchedBy && {
+          matchedByAttribute: this.matchedBy.attribute,
+          matchedByGeometry: this.matchedBy.geometry,
+          disagreements: this.disagreements.length
+        })
+      },
+      unmatched: this.unmatched,
+      ambiguous: this.ambiguous,
+      childlessParents,
+      groupingFailures: this.groupingFailures,
+      geometryDefects: this.geometryDefects,
+      ...(this.matchedBy && { disagreements: this.disagreements })
+    };
+  }
+
+  toText({ limit = 20 } = {}) {
+    const report = this.toJSON();
+    const { totals } = report;
+    const label = child => `${child.id} (${child.name})`;
+    const lines = [
+      `ADM${report.level} linkage report`,
+      `  children:           ${totals.children}`,
+      `  matched:            ${totals.matched}`,
+      `  unmatched:          ${totals.unmatched}`,
+      `  multiple parents:   ${totals.ambiguous}`,
+      `  childless parents:  ${totals.childlessParents}`,
+      `  grouping failures:  ${totals.groupingFailures}`
+    ];
+    if (totals.geometryDefects > 0) {
+      lines.push(`  geometry defects:   ${totals.geometryDefects} (${totals.geometryRepaired} repaired)`);
+    }
+    if (this.matchedBy) {
+      lines.push(
+        `  by attribute:       ${totals.matchedByAttribute}`,
+        `  by geometry:        ${totals.matchedByGeometry}`,
+        `  disagreements:      ${totals.disagreements}`
+      );
+    }
+
+    const section = (title, items, format) => {
+      if (items.length === 0) return;
+      lines.push('', `${title}:`);
+      items.slice(0, limit).forEach(item => lines.push(`  ${format(item)}`));
+      if (items.length > limit) lines.push(`  ... and ${items.length - limit} more`);
+    };
+    section('Unmatched children', report.unmatched, label);
+    section('Children overlapping multiple parents', report.ambiguous, child =>
+      `${label(child)} -> ${child.candidates.map(c => `${c.id} ${(c.ratio * 100).toFixed(1)}%`).join(', ')}`);
+    section('Parents with no children', report.childlessParents, label);
+    section('Parent-id grouping failures', report.groupingFailures, child => `${label(child)}: no parents under id "${child.group}"`);
+    section('Geometry defects', report.geometryDefects, defect =>
+      `${defect.role} ${label(defect)}: ${defect.issues.join(', ')}` +
+      (defect.remaining.length > 0 ? ` (unrepaired: ${defect.remaining.join(', ')})` : defect.fixed.length > 0 ? ' (repaired)' : ''));
+    section('Attribute and geometry disagreements', this.disagreements, child =>
+      `${label(child)}: geometry ${label(child.geometry)}, attributes ${label(child.attribute)}`);
+
+    return lines.join('\n');
+  }
+}
+
+// Write the report as JSON plus a .txt summary next to it
+function writeReport(report, file, logger = console) {
+  const text = report.toText();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(report.toJSON(), null, 2));
+  fs.writeFileSync(file.replace(/\.json$/, '') + '.txt', text + '\n');
+  logger.log(text);
+  logger.log(`Report written to ${file}`);
+}
+
+module.exports = { LinkReport, writeReport };
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const { getFeatureId } = require('./features');
+
+// Output property schemas: which properties a written feature carries, so
+// each consumer can get its own shape without code changes. A schema is a
+// JSON object; every key is optional:
+//
+//   {
+//     "keep": ["shapeID", "shapeName", "shapeISO", "parent_id"],  // or "*" (default)
+//     "drop": ["parent_overlap_ratio"],
+//     "rename": { "shapeID": "id", "shapeName": "name" },
+//     "ancestors": { "1": ["id", "name"], "2": ["id"] },   // adm1_id, adm1_name, adm2_id
+//     "ancestorPrefix": "adm",
+//     "types": { "population": "integer" },
+//     "defaults": { "shapeISO": "", "population": 0 }
+//   }
+//
+// Properties are picked by `keep` (a property listed there but missing from
+// the feature comes out null) less `drop`, then renamed. `ancestors` adds
+// the id and/or name of the ancestor at each level from the linker's
+// `ancestors` list (null where there is none). `types` and `defaults` use the
+// output names: values are converted to their type, and null or missing
+// values, as well as values that cannot be converted, take the default.
+// Source values are never replaced just for being falsy.
+
+const TYPES = {
+  string: value => typeof value === 'object' ? JSON.stringify(value) : String(value),
+  number: value => {
+    const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+    return Number.isFinite(number) ? number : undefined;
+  },
+  integer: value => {
+    const number = TYPES.number(value);
+    return Number.isInteger(number) ? number : undefined;
+  },
+  boolean: value => {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true' || value === 1 || value === '1') return true;
+    if (value === 'false' || value === 0 || value === '0') return false;
+    return undefined;
+  }
+};
+
+const ANCESTOR_FIELDS = { id: 'shapeID', name: 'shapeName' };
+const KEYS = ['keep', 'drop', 'rename', 'ancestors', 'ancestorPrefix', 'types', 'defaults'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNames = value => Array.isArray(value) && value.every(name => typeof name === 'string');
+
+function validateSchema(schema) {
+  const fail = message => {
+    throw new Error(`Invalid output schema: ${message}`);
+  };
+  if (!isObject(schema)) fail('expected an object');
+  for (const key of Object.keys(schema)) {
+    if (!KEYS.includes(key)) fail(`unknown key "${key}" (expected ${KEYS.join(', ')})`);
+  }
+  const { keep = '*', drop = [], rename = {}, ancestors = {}, ancestorPrefix = 'adm', types = {}, defaults = {} } = schema;
+  if (keep !== '*' && !isNames(keep)) fail('"keep" must be "*" or a list of property names');
+  if (!isNames(drop)) fail('"drop" must be a list of property names');
+  if (!isObject(rename) || !Object.values(rename).every(name => typeof name === 'string')) {
+    fail('"rename" must map property names to new names');
+  }
+  if (!isObject(ancestors)) fail('"ancestors" must map levels to fields');
+  for (const [level, fields] of Object.entries(ancestors)) {
+    if (!/^\d+$/.test(level)) fail(`ancestor level "${level}" is not a level number`);
+    if (!isNames(fields) || !fields.every(field => ANCESTOR_FIELDS[field])) {
+      fail(`ancestor fields of level ${level} must be a list of ${Object.keys(ANCESTOR_FIELDS).join(', ')}`);
+    }
+  }
+  if (typeof ancestorPrefix !== 'string') fail('"ancestorPrefix" must be a string');
+  if (!isObject(types)) fail('"types" must map property names to types');
+  for (const [name, type] of Object.entries(types)) {
+    if (!TYPES[type]) fail(`unknown type "${type}" for ${name} (expected ${Object.keys(TYPES).join(', ')})`);
+  }
+  if (!isObject(defaults)) fail('"defaults" must map property names to values');
+  for (const [name, value] of Object.entries(defaults)) {
+    if (value !== null && types[name] && TYPES[types[name]](value) !== value) {
+      fail(`default ${JSON.stringify(value)} for ${name} is not of type ${types[name]}`);
+    }
+  }
+  return { keep, drop, rename, ancestors, ancestorPrefix, types, defaults };
+}
+
+// A function returning a copy of a feature with its properties shaped by
+// `schema`; the feature itself is left as it is. Failed conversions are
+// reported to `logger`.
+function compileSchema(schema, { idKey, logger = console } = {}) {
+  const { keep, drop, rename, ancestors, ancestorPrefix, types, defaults } = validateSchema(schema);
+  const dropped = new Set(drop);
+  const ancestorFields = Object.entries(ancestors).flatMap(([level, fields]) => fields.map(field => ({
+    name: `${ancestorPrefix}${level}_${field}`,
+    level: Number(level),
+    key: ANCESTOR_FIELDS[field]
+  })));
+
+  return function shape(feature) {
+    const source = feature.properties || {};
+    const properties = {};
+    for (const name of keep === '*' ? Object.keys(source) : keep) {
+      if (dropped.has(name)) continue;
+      properties[rename[name] || name] = source[name] === undefined ? null : source[name];
+    }
+    for (const { name, level, key } of ancestorFields) {
+      const ancestor = (source.ancestors || []).find(entry => entry.level === level);
+      properties[name] = ancestor && ancestor[key] !== undefined ? ancestor[key] : null;
+    }
+    for (const [name, type] of Object.entries(types)) {
+      const value = properties[name];
+      if (value === undefined || value === null) continue;
+      const converted = TYPES[type](value);
+      if (converted === undefined) {
+        logger.warn(`Feature ${getFeatureId(feature, idKey)}: cannot convert ${name} ${JSON.stringify(value)} to ${type}`);
+      }
+      properties[name] = converted === undefined ? null : converted;
+    }
+    for (const [name, value] of Object.entries(defaults)) {
+      if (properties[name] === undefined || properties[name] === null) properties[name] = value;
+    }
+    return { ...feature, properties };
+  };
+}
+
+function loadSchema(file) {
+  const schema = JSON.parse(fs.readFileSync(file, 'utf8'));
+  validateSchema(schema);
+  return schema;
+}
+
+module.exports = { TYPES, validateSchema, compileSchema, loadSchema };
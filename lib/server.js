@@ -0,0 +1,162 @@
+const http = require('http');
+const { getFeatureId, getFeatureName } = require('./features');
+const { PointLookup } = require('./lookup');
+
+// Read-only HTTP service over linked levels (top level first, as written by
+// hierarchy or pipeline), so tools can ask for one unit instead of loading a
+// whole level:
+//
+//   GET /lookup?lon=<lon>&lat=<lat>    units containing the point, top first
+//   GET /units/<id>                    one unit
+//   GET /units/<id>/children           the units linked to it
+//   GET /units/<id>/ancestors          the units above it, top first
+//
+// Responses are GeoJSON (a Feature, or a FeatureCollection for lists) or,
+// with ?format=ids, plain JSON summaries of { level, shapeID, shapeName,
+// parent_id }. Errors are JSON { error } with a 400, 404 or 405 status.
+
+// Every unit by id, with its parent and children resolved through the parent
+// id field or, failing that, the last entry of `ancestors` (as in
+// lib/tree.js). Ids are expected to be unique across levels; repeats are
+// counted in `duplicates` and only the first is kept. Units are keyed by
+// their id as a string, as it comes from a URL, so a numeric feature id
+// (e.g. `"id": 12`) is found as /units/12.
+const unitKey = id => id === null || id === undefined ? id : String(id);
+
+class UnitIndex {
+  constructor(levels, { idKey, nameKey, idField = 'parent_id' } = {}) {
+    this.keys = { idKey, nameKey, idField };
+    this.units = new Map();
+    this.duplicates = 0;
+    this.levels = levels.map(level => Array.isArray(level) ? level : level.features);
+    this.counts = this.levels.map(features => features.length);
+    this.points = new PointLookup(this.levels, { idKey, nameKey });
+
+    this.levels.forEach((features, level) => {
+      for (const feature of features) {
+        const id = getFeatureId(feature, idKey);
+        if (this.units.has(unitKey(id))) {
+          this.duplicates++;
+          continue;
+        }
+        this.units.set(unitKey(id), {
+          id,
+          name: getFeatureName(feature, nameKey),
+          level,
+          parentId: level === 0 ? null : this.parentIdOf(feature),
+          feature,
+          children: []
+        });
+      }
+    });
+    for (const unit of this.units.values()) {
+      const parent = unit.parentId === null ? undefined : this.units.get(unitKey(unit.parentId));
+      if (parent) parent.children.push(unit);
+    }
+  }
+
+  parentIdOf(feature) {
+    const { properties } = feature;
+    const parentId = properties[this.keys.idField];
+    if (parentId !== undefined && parentId !== null) return parentId;
+    const ancestors = properties.ancestors || [];
+    return ancestors.length > 0 ? ancestors[ancestors.length - 1].shapeID : null;
+  }
+
+  get(id) {
+    return this.units.get(unitKey(id)) || null;
+  }
+
+  // The units above a unit, top level first
+  ancestors(unit) {
+    const chain = [];
+    // Bounded by the number of levels, in case parent ids loop
+    for (let parent = this.get(unit.parentId); parent && chain.length < this.levels.length; parent = this.get(parent.parentId)) {
+      chain.unshift(parent);
+    }
+    return chain;
+  }
+
+  // The deepest unit containing the point and the units above it, top first
+  lookup(lon, lat) {
+    const match = this.points.locate(lon, lat);
+    if (!match) return [];
+    const unit = this.get(getFeatureId(match.feature, this.keys.idKey));
+    return unit ? [...this.ancestors(unit), unit] : [];
+  }
+}
+
+function describe(unit) {
+  return { level: unit.level, shapeID: unit.id, shapeName: unit.name, parent_id: unit.parentId };
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function coordinate(params, name, limit) {
+  const value = Number(params.get(name));
+  if (params.get(name) === null || params.get(name) === '' || !(Math.abs(value) <= limit)) {
+    throw new HttpError(400, `${name} must be a number between -${limit} and ${limit}`);
+  }
+  return value;
+}
+
+// The response body for a GET request; failures throw an HttpError
+function route(index, url) {
+  const format = url.searchParams.get('format') || 'geojson';
+  if (format !== 'geojson' && format !== 'ids') throw new HttpError(400, `Unknown format: ${format} (expected geojson or ids)`);
+  const one = unit => format === 'ids' ? describe(unit) : unit.feature;
+  const list = units => format === 'ids'
+    ? units.map(describe)
+    : { type: 'FeatureCollection', features: units.map(unit => unit.feature) };
+
+  if (url.pathname === '/lookup') {
+    return list(index.lookup(coordinate(url.searchParams, 'lon', 180), coordinate(url.searchParams, 'lat', 90)));
+  }
+  const match = /^\/units\/([^/]+)(?:\/(children|ancestors))?\/?$/.exec(url.pathname);
+  if (!match) throw new HttpError(404, `No route for ${url.pathname}`);
+  let id;
+  try {
+    id = decodeURIComponent(match[1]);
+  } catch (e) {
+    throw new HttpError(400, `Malformed unit id: ${match[1]}`);
+  }
+  const unit = index.get(id);
+  if (!unit) throw new HttpError(404, `Unknown unit: ${id}`);
+  if (match[2] === 'children') return list(unit.children);
+  if (match[2] === 'ancestors') return list(index.ancestors(unit));
+  return one(unit);
+}
+
+// An http.Server answering from `index` (not yet listening). `cors` sets
+// Access-Control-Allow-Origin, for tools calling the service from a browser.
+function createLookupServer(index, { cors, logger = console } = {}) {
+  return http.createServer((req, res) => {
+    const send = (status, body) => {
+      const geojson = body && (body.type === 'Feature' || body.type === 'FeatureCollection');
+      res.writeHead(status, {
+        'Content-Type': geojson ? 'application/geo+json' : 'application/json',
+        ...(cors && { 'Access-Control-Allow-Origin': cors })
+      });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      send(405, { error: `Method not allowed: ${req.method}` });
+      return;
+    }
+    try {
+      send(200, route(index, new URL(req.url, 'http://localhost')));
+    } catch (e) {
+      if (!(e instanceof HttpError)) logger.warn(`Request ${req.url} failed:`, e.message);
+      send(e.status || 500, { error: e instanceof HttpError ? e.message : 'Internal error' });
+    }
+  });
+}
+
+module.exports = { UnitIndex, createLookupServer };
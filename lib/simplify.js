@@ -0,0 +1,137 @@
+const { topology } = require('topojson-server');
+const { feature: topoFeature } = require('topojson-client');
+const { geoBbox } = require('./antimeridian');
+
+// Smaller output geometry, applied to written features only (linking always
+// sees the original geometry). Simplification works on the arcs of a
+// topology of the whole level, so a border shared by two units is simplified
+// once and stays shared; arcs whose simplification would collapse a ring are
+// left as they are. Rounding is applied per coordinate, which keeps shared
+// borders identical too.
+
+// Douglas-Peucker over an array of positions; the ends are always kept
+function simplifyLine(points, tolerance) {
+  if (points.length <= 2) return points;
+  const keep = new Array(points.length).fill(false);
+  keep[0] = keep[points.length - 1] = true;
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let farthest = -1;
+    let max = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const distance = segmentDistance(points[i], points[first], points[last]);
+      if (distance > max) {
+        max = distance;
+        farthest = i;
+      }
+    }
+    if (farthest === -1) continue;
+    keep[farthest] = true;
+    stack.push([first, farthest], [farthest, last]);
+  }
+  return points.filter((point, i) => keep[i]);
+}
+
+// Planar distance from p to the segment a-b (to a, when a and b coincide)
+function segmentDistance([x, y], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / lengthSquared));
+  return Math.hypot(x - (ax + t * dx), y - (ay + t * dy));
+}
+
+// The arc lists of every ring in a topology geometry (and its collection members)
+function rings(geometry) {
+  if (geometry.type === 'GeometryCollection') return geometry.geometries.flatMap(rings);
+  if (geometry.type === 'Polygon') return geometry.arcs;
+  if (geometry.type === 'MultiPolygon') return geometry.arcs.flat();
+  return [];
+}
+
+const arcIndex = arc => arc < 0 ? ~arc : arc;
+
+// Positions in a ring made of `arcs`, counting shared junctions once
+function ringLength(ring, arcs) {
+  return ring.reduce((length, arc) => length + arcs[arcIndex(arc)].length - 1, 1);
+}
+
+// Copies of `features` with their geometry simplified at `tolerance`
+// (coordinate units, i.e. degrees for lon/lat) across shared borders
+function simplifyFeatures(features, tolerance) {
+  const topo = topology({ level: { type: 'FeatureCollection', features } });
+  const original = topo.arcs;
+  const allRings = topo.objects.level.geometries.flatMap(geometry => geometry.type ? rings(geometry) : []);
+  const kept = new Set();
+  let simplified;
+  // Keeping an arc as it is can only lengthen rings, so this settles
+  for (let changed = true; changed;) {
+    simplified = original.map((arc, i) => kept.has(i) ? arc : simplifyLine(arc, tolerance));
+    changed = false;
+    for (const ring of allRings) {
+      if (ringLength(ring, simplified) >= 4 || ring.every(arc => kept.has(arcIndex(arc)))) continue;
+      ring.forEach(arc => kept.add(arcIndex(arc)));
+      changed = true;
+    }
+  }
+  topo.arcs = simplified;
+  return topoFeature(topo, topo.objects.level).features.map((feature, i) => {
+    const simplifiedFeature = { ...features[i], geometry: feature.geometry };
+    if (simplifiedFeature.bbox && feature.geometry) simplifiedFeature.bbox = geoBbox(feature);
+    return simplifiedFeature;
+  });
+}
+
+// Rounded positions with the repeats that rounding makes dropped; a ring or
+// line too small for the precision keeps its repeated positions
+function roundPositions(positions, round, minimum) {
+  const rounded = positions.map(round);
+  const distinct = rounded.filter((position, i) => i === 0 || position.some((value, j) => value !== rounded[i - 1][j]));
+  return distinct.length >= minimum ? distinct : rounded;
+}
+
+// `geometry` with every coordinate rounded to `precision` decimals
+function roundGeometry(geometry, precision) {
+  if (!geometry) return geometry;
+  const factor = 10 ** precision;
+  const round = position => position.map(value => Math.round(value * factor) / factor);
+  const { type, coordinates } = geometry;
+  switch (type) {
+    case 'Point':
+      return { type, coordinates: round(coordinates) };
+    case 'MultiPoint':
+      return { type, coordinates: coordinates.map(round) };
+    case 'LineString':
+      return { type, coordinates: roundPositions(coordinates, round, 2) };
+    case 'MultiLineString':
+      return { type, coordinates: coordinates.map(line => roundPositions(line, round, 2)) };
+    case 'Polygon':
+      return { type, coordinates: coordinates.map(ring => roundPositions(ring, round, 4)) };
+    case 'MultiPolygon':
+      return { type, coordinates: coordinates.map(polygon => polygon.map(ring => roundPositions(ring, round, 4))) };
+    case 'GeometryCollection':
+      return { type, geometries: geometry.geometries.map(member => roundGeometry(member, precision)) };
+    default:
+      return geometry;
+  }
+}
+
+// Copies of `features` made smaller for output: simplified at `simplify`
+// (which needs the whole level), rounded to `precision` decimals, and with
+// their bbox recomputed, or dropped when `bbox` is false
+function shrinkFeatures(features, { simplify, precision, bbox = true } = {}) {
+  const simplified = simplify ? simplifyFeatures(features, simplify) : features;
+  return simplified.map(feature => shrinkFeature(feature, { precision, bbox }));
+}
+
+// The same without simplification, for one feature at a time
+function shrinkFeature(feature, { precision, bbox = true } = {}) {
+  const { bbox: previous, ...rest } = feature;
+  const geometry = precision === undefined ? feature.geometry : roundGeometry(feature.geometry, precision);
+  const shrunk = { ...rest, geometry };
+  if (bbox && previous && geometry) shrunk.bbox = geometry === feature.geometry ? previous : geoBbox(shrunk);
+  return shrunk;
+}
+
+module.exports = { simplifyLine, simplifyFeatures, roundGeometry, shrinkFeatures, shrinkFeature };
@@ -0,0 +1,43 @@
+const RBush = require('rbush');
+const { geoBbox, splitBbox } = require('./antimeridian');
+
+// RBush over arbitrary items keyed by their [minX, minY, maxX, maxY] bbox.
+// search() returns items in their original order, so "first match wins"
+// logic stays deterministic regardless of the tree layout. A bbox crossing
+// the antimeridian (minX > maxX, see lib/antimeridian.js) is stored and
+// searched as the two boxes either side of it.
+function createSpatialIndex(items, getBbox = item => item.bbox || geoBbox(item)) {
+  const tree = new RBush();
+  tree.load(items.flatMap((item, order) => splitBbox(getBbox(item)).map(box => (
+    { minX: box[0], minY: box[1], maxX: box[2], maxY: box[3], order, item }
+  ))));
+
+  return {
+    size: items.length,
+    search(box) {
+      const found = new Map();
+      for (const [minX, minY, maxX, maxY] of splitBbox(box)) {
+        for (const entry of tree.search({ minX, minY, maxX, maxY })) found.set(entry.order, entry);
+      }
+      return [...found.values()]
+        .sort((a, b) => a.order - b.order)
+        .map(entry => entry.item);
+    }
+  };
+}
+
+// One index per group, e.g. child features grouped by their parent_id, so a
+// lookup can be narrowed to the children of an already-matched parent.
+function createGroupedIndex(items, getGroup, getBbox) {
+  const groups = new Map();
+  for (const item of items) {
+    const group = getGroup(item);
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(item);
+  }
+  const indexes = new Map();
+  for (const [group, groupItems] of groups) indexes.set(group, createSpatialIndex(groupItems, getBbox));
+  return indexes;
+}
+
+module.exports = { createSpatialIndex, createGroupedIndex };
@@ -0,0 +1,22 @@
+// The stages in front of the linker (validateLevel in lib/geometry.js,
+// antimeridianLevel in lib/antimeridian.js and splitLevel in lib/lines.js)
+// take the parents of a level as an array and its children as an array or an
+// (async) iterable. Arrays of children stay arrays, so a level linked in
+// memory stays there; other iterables are mapped as they stream.
+
+async function* mapStream(children, map, flat) {
+  let index = 0;
+  for await (const feature of children) {
+    if (flat) yield* map(feature, index++);
+    else yield map(feature, index++);
+  }
+}
+
+// `map(feature, index)` over the children of a level; with `flat`, `map`
+// returns a list of features for each child
+function mapChildren(children, map, { flat = false } = {}) {
+  if (Array.isArray(children)) return flat ? children.flatMap(map) : children.map(map);
+  return mapStream(children, map, flat);
+}
+
+module.exports = { mapChildren };
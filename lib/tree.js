@@ -0,0 +1,92 @@
+const { getFeatureId, getFeatureName } = require('./features');
+const { geoBbox } = require('./antimeridian');
+
+// Assembles linked levels into a nested tree (country -> states -> districts
+// -> ...) for location pickers. Features are added one level at a time, top
+// level first; only ids, names and bboxes are kept, so levels can be streamed
+// straight from the linked files. A child is attached through its parent id
+// field, or failing that the last entry of its `ancestors`; children whose
+// parent is unknown are listed as unassigned instead of being dropped.
+class HierarchyTree {
+  constructor({ idKey, nameKey, idField = 'parent_id' } = {}) {
+    this.keys = { idKey, nameKey, idField };
+    this.levels = [];
+    this.roots = [];
+    this.unassigned = [];
+    this.duplicates = [];
+  }
+
+  parentIdOf(feature) {
+    const { properties } = feature;
+    const parentId = properties[this.keys.idField];
+    if (parentId !== undefined && parentId !== null) return parentId;
+    const ancestors = properties.ancestors || [];
+    return ancestors.length > 0 ? ancestors[ancestors.length - 1].shapeID : null;
+  }
+
+  add(level, feature) {
+    while (this.levels.length <= level) this.levels.push(new Map());
+    const node = {
+      id: getFeatureId(feature, this.keys.idKey),
+      name: getFeatureName(feature, this.keys.nameKey),
+      level,
+      bbox: feature.bbox || (feature.geometry ? geoBbox(feature) : null),
+      childCount: 0,
+      children: []
+    };
+
+    const nodes = this.levels[level];
+    if (nodes.has(node.id)) {
+      this.duplicates.push({ level, id: node.id, name: node.name });
+      return;
+    }
+    nodes.set(node.id, node);
+
+    if (level === 0) {
+      this.roots.push(node);
+      return;
+    }
+    const parentId = this.parentIdOf(feature);
+    const parent = parentId === null ? undefined : (this.levels[level - 1] || new Map()).get(parentId);
+    if (parent) {
+      parent.children.push(node);
+      parent.childCount++;
+    } else {
+      this.unassigned.push({ level, id: node.id, name: node.name, parent_id: parentId });
+    }
+  }
+
+  async addLevel(level, features) {
+    for await (const feature of features) this.add(level, feature);
+  }
+
+  toJSON() {
+    return {
+      levels: this.levels.length,
+      tree: this.roots,
+      unassigned: this.unassigned,
+      duplicates: this.duplicates
+    };
+  }
+
+  // One row per unit, children referenced by id, top level first
+  toAdjacency() {
+    const rows = [];
+    const visit = (node, parentId) => {
+      rows.push({
+        id: node.id,
+        name: node.name,
+        level: node.level,
+        parent_id: parentId,
+        childCount: node.childCount,
+        bbox: node.bbox,
+        children: node.children.map(child => child.id)
+      });
+      node.children.forEach(child => visit(child, node.id));
+    };
+    this.roots.forEach(root => visit(root, null));
+    return rows;
+  }
+}
+
+module.exports = { HierarchyTree };
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const { once } = require('events');
+
+// fs.createWriteStream for output files. Its errors, such as a missing
+// directory reported once the file fails to open, do not crash the process:
+// they stay in `stream.errored` and fail the next streamEvent() wait.
+function createOutputStream(file, options) {
+  const stream = fs.createWriteStream(file, options);
+  stream.on('error', () => {});
+  return stream;
+}
+
+// Wait for `event` ('drain', 'finish') on an output stream; rejects with the
+// stream's error, whether it came before or during the wait
+function streamEvent(stream, event) {
+  if (stream.errored) return Promise.reject(stream.errored);
+  return once(stream, event);
+}
+
+// Base for text writers: output is buffered and flushed in blocks; when the
+// underlying stream signals backpressure the writer waits for it to drain
+// before accepting more. With `resume: { bytes, count }` (a position() from
+// an earlier run) the file is cut back to `bytes` and appended to instead of
+// started over.
+class BufferedFileWriter {
+  constructor(file, { bufferSize = 1 << 16, resume } = {}) {
+    if (resume) {
+      if (fs.statSync(file).size < resume.bytes) throw new Error(`${file} is shorter than its checkpoint`);
+      fs.truncateSync(file, resume.bytes);
+    }
+    this.stream = createOutputStream(file, { flags: resume ? 'a' : 'w' });
+    this.bufferSize = bufferSize;
+    this.buffer = '';
+    this.resumed = Boolean(resume);
+    this.bytes = resume ? resume.bytes : 0;
+    this.count = resume ? resume.count : 0;
+    this.written = Promise.resolve();
+  }
+
+  // Text written once at the start of the file, not again when resuming
+  begin(text) {
+    if (!this.resumed) this.buffer = text;
+  }
+
+  async append(text) {
+    if (this.stream.errored) throw this.stream.errored;
+    this.buffer += text;
+    if (this.buffer.length >= this.bufferSize) await this.flush();
+  }
+
+  async flush() {
+    if (!this.buffer) return;
+    const chunk = this.buffer;
+    this.buffer = '';
+    this.bytes += Buffer.byteLength(chunk);
+    let ok;
+    // Resolves with the write's error, if any, for position() to throw
+    this.written = new Promise(resolve => {
+      ok = this.stream.write(chunk, error => resolve(error));
+    });
+    if (!ok) await streamEvent(this.stream, 'drain');
+  }
+
+  // Bytes and features handed to the file system so far, to resume from
+  async position() {
+    await this.flush();
+    const error = await this.written;
+    if (error) throw error;
+    return { bytes: this.bytes, count: this.count };
+  }
+
+  async close() {
+    await this.flush();
+    this.stream.end();
+    await streamEvent(this.stream, 'finish');
+  }
+}
+
+BufferedFileWriter.resumable = true;
+
+// Base for formats that can only be produced from the whole collection
+// (shared arcs, spatial index): features are collected and written on end().
+class CollectingWriter {
+  constructor(file, options = {}) {
+    this.file = file;
+    this.options = options;
+    this.features = [];
+    this.count = 0;
+  }
+
+  async write(feature) {
+    this.features.push(feature);
+    this.count++;
+  }
+}
+
+module.exports = { createOutputStream, streamEvent, BufferedFileWriter, CollectingWriter };
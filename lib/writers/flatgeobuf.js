@@ -0,0 +1,266 @@
+const fs = require('fs');
+const turf = require('@turf/turf');
+const { CollectingWriter } = require('./bufferedWriter');
+const { crossesAntimeridian } = require('../antimeridian');
+
+// FlatGeobuf with a packed Hilbert R-tree, so tile and map clients can fetch
+// only the features in a bounding box. The flatgeobuf package is ESM-only and
+// its serializer writes no index, so the header and tree are built here from
+// its lower-level modules.
+
+const NODE_SIZE = 16;
+const NODE_BYTES = 40;
+const HILBERT_MAX = (1 << 16) - 1;
+const EPSG_WGS84 = 4326;
+
+let modules;
+function loadFlatgeobuf() {
+  if (!modules) {
+    const lib = name => import(`flatgeobuf/lib/mjs/${name}.js`);
+    modules = Promise.all([
+      import('flatbuffers'),
+      lib('constants'),
+      lib('flat-geobuf/header'),
+      lib('flat-geobuf/column'),
+      lib('flat-geobuf/column-type'),
+      lib('flat-geobuf/crs'),
+      lib('generic/feature'),
+      lib('generic/header'),
+      lib('geojson/geometry'),
+      lib('packedrtree')
+    ]).then(([flatbuffers, constants, header, column, columnType, crs, feature, genericHeader, geometry, packedrtree]) => ({
+      flatbuffers,
+      magicbytes: constants.magicbytes,
+      Header: header.Header,
+      Column: column.Column,
+      ColumnType: columnType.ColumnType,
+      Crs: crs.Crs,
+      buildFeature: feature.buildFeature,
+      inferGeometryType: genericHeader.inferGeometryType,
+      parseGeometry: geometry.parseGeometry,
+      parseGC: geometry.parseGC,
+      generateLevelBounds: packedrtree.generateLevelBounds
+    }));
+  }
+  return modules;
+}
+
+// Position of (x, y) on a 2^16 x 2^16 Hilbert curve
+function hilbert(x, y) {
+  let a = x ^ y;
+  let b = 0xFFFF ^ a;
+  let c = 0xFFFF ^ (x | y);
+  let d = x & (y ^ 0xFFFF);
+
+  let A = a | (b >> 1);
+  let B = (a >> 1) ^ a;
+  let C = ((c >> 1) ^ (b & (d >> 1))) ^ c;
+  let D = ((a & (c >> 1)) ^ (d >> 1)) ^ d;
+
+  a = A; b = B; c = C; d = D;
+  A = (a & (a >> 2)) ^ (b & (b >> 2));
+  B = (a & (b >> 2)) ^ (b & ((a ^ b) >> 2));
+  C ^= (a & (c >> 2)) ^ (b & (d >> 2));
+  D ^= (b & (c >> 2)) ^ ((a ^ b) & (d >> 2));
+
+  a = A; b = B; c = C; d = D;
+  A = (a & (a >> 4)) ^ (b & (b >> 4));
+  B = (a & (b >> 4)) ^ (b & ((a ^ b) >> 4));
+  C ^= (a & (c >> 4)) ^ (b & (d >> 4));
+  D ^= (b & (c >> 4)) ^ ((a ^ b) & (d >> 4));
+
+  a = A; b = B; c = C; d = D;
+  C ^= (a & (c >> 8)) ^ (b & (d >> 8));
+  D ^= (b & (c >> 8)) ^ ((a ^ b) & (d >> 8));
+
+  a = C ^ (C >> 1);
+  b = D ^ (D >> 1);
+
+  let i0 = x ^ y;
+  let i1 = b | (0xFFFF ^ (i0 | a));
+
+  i0 = (i0 | (i0 << 8)) & 0x00FF00FF;
+  i0 = (i0 | (i0 << 4)) & 0x0F0F0F0F;
+  i0 = (i0 | (i0 << 2)) & 0x33333333;
+  i0 = (i0 | (i0 << 1)) & 0x55555555;
+
+  i1 = (i1 | (i1 << 8)) & 0x00FF00FF;
+  i1 = (i1 | (i1 << 4)) & 0x0F0F0F0F;
+  i1 = (i1 | (i1 << 2)) & 0x33333333;
+  i1 = (i1 | (i1 << 1)) & 0x55555555;
+
+  return ((i1 << 1) | i0) >>> 0;
+}
+
+function extend(target, box) {
+  target[0] = Math.min(target[0], box[0]);
+  target[1] = Math.min(target[1], box[1]);
+  target[2] = Math.max(target[2], box[2]);
+  target[3] = Math.max(target[3], box[3]);
+  return target;
+}
+
+function sortByHilbert(items, extent) {
+  const width = extent[2] - extent[0] || 1;
+  const height = extent[3] - extent[1] || 1;
+  for (const item of items) {
+    const [minX, minY, maxX, maxY] = item.bbox;
+    const x = Math.floor(HILBERT_MAX * ((minX + maxX) / 2 - extent[0]) / width);
+    const y = Math.floor(HILBERT_MAX * ((minY + maxY) / 2 - extent[1]) / height);
+    item.hilbert = hilbert(x, y);
+  }
+  items.sort((a, b) => a.hilbert - b.hilbert);
+}
+
+function valueType(value, ColumnType) {
+  if (typeof value === 'boolean') return ColumnType.Bool;
+  if (typeof value === 'number') return ColumnType.Double;
+  if (typeof value === 'string') return ColumnType.String;
+  return ColumnType.Json;
+}
+
+// Column types come from the non-null values of each property. A property
+// whose values differ in type is widened: to Json when any value is an
+// object or array, else to String. Missing values are written as null.
+function inferColumns(features, ColumnType) {
+  const types = new Map();
+  for (const { properties } of features) {
+    for (const [name, value] of Object.entries(properties || {})) {
+      const current = types.get(name);
+      if (value === null || value === undefined) {
+        if (current === undefined) types.set(name, null);
+        continue;
+      }
+      const type = valueType(value, ColumnType);
+      if (current === undefined || current === null) types.set(name, type);
+      else if (current !== type && current !== ColumnType.Json) {
+        types.set(name, type === ColumnType.Json ? ColumnType.Json : ColumnType.String);
+      }
+    }
+  }
+  return [...types].map(([name, type]) => ({ name, type: type === null ? ColumnType.String : type }));
+}
+
+// A value as its column's type; only widened columns convert anything
+function columnValue(value, type, ColumnType) {
+  if (value === null || value === undefined) return null;
+  if (type === ColumnType.String && typeof value !== 'string') return String(value);
+  return value;
+}
+
+function buildHeader(fgb, { name, geometryType, columns, featuresCount, extent }) {
+  const { flatbuffers, Header, Column, Crs } = fgb;
+  const builder = new flatbuffers.Builder();
+  const columnOffsets = columns.map(column => {
+    const nameOffset = builder.createString(column.name);
+    Column.startColumn(builder);
+    Column.addName(builder, nameOffset);
+    Column.addType(builder, column.type);
+    Column.addNullable(builder, true);
+    return Column.endColumn(builder);
+  });
+  const columnsOffset = Header.createColumnsVector(builder, columnOffsets);
+  const envelopeOffset = Header.createEnvelopeVector(builder, extent);
+  const nameOffset = builder.createString(name);
+  Crs.startCrs(builder);
+  Crs.addCode(builder, EPSG_WGS84);
+  const crsOffset = Crs.endCrs(builder);
+
+  Header.startHeader(builder);
+  Header.addName(builder, nameOffset);
+  Header.addEnvelope(builder, envelopeOffset);
+  Header.addGeometryType(builder, geometryType);
+  Header.addColumns(builder, columnsOffset);
+  Header.addFeaturesCount(builder, BigInt(featuresCount));
+  Header.addIndexNodeSize(builder, NODE_SIZE);
+  Header.addCrs(builder, crsOffset);
+  builder.finishSizePrefixed(Header.endHeader(builder));
+  return builder.asUint8Array();
+}
+
+// Packed R-tree: leaves hold the byte offset of their feature, inner nodes
+// the index of their first child node; the root comes first
+function buildIndex(fgb, items) {
+  const levelBounds = fgb.generateLevelBounds(items.length, NODE_SIZE);
+  const nodeCount = levelBounds[0][1];
+  const boxes = new Array(nodeCount);
+  const offsets = new Array(nodeCount);
+
+  const [leafStart] = levelBounds[0];
+  items.forEach((item, i) => {
+    boxes[leafStart + i] = item.bbox;
+    offsets[leafStart + i] = item.offset;
+  });
+  for (let level = 1; level < levelBounds.length; level++) {
+    const [childStart, childEnd] = levelBounds[level - 1];
+    const [start, end] = levelBounds[level];
+    for (let node = start; node < end; node++) {
+      const firstChild = childStart + (node - start) * NODE_SIZE;
+      const box = [Infinity, Infinity, -Infinity, -Infinity];
+      for (let child = firstChild; child < Math.min(firstChild + NODE_SIZE, childEnd); child++) {
+        extend(box, boxes[child]);
+      }
+      boxes[node] = box;
+      offsets[node] = firstChild;
+    }
+  }
+
+  const buffer = Buffer.alloc(nodeCount * NODE_BYTES);
+  for (let node = 0; node < nodeCount; node++) {
+    const position = node * NODE_BYTES;
+    boxes[node].forEach((value, i) => buffer.writeDoubleLE(value, position + i * 8));
+    buffer.writeBigUInt64LE(BigInt(offsets[node]), position + 32);
+  }
+  return buffer;
+}
+
+// `layerName` names the layer in the header (default "boundaries"). The
+// format needs a geometry per feature, so features without one are left out
+// and counted in a warning to `logger`.
+class FlatGeobufWriter extends CollectingWriter {
+  async end() {
+    const fgb = await loadFlatgeobuf();
+    const { logger = console } = this.options;
+    const features = this.features.filter(feature => feature.geometry);
+    if (features.length === 0) throw new Error(`No features with geometry to write to ${this.file}`);
+    const dropped = this.features.length - features.length;
+    if (dropped > 0) logger.warn(`${this.file}: ${dropped} feature(s) without geometry left out of the FlatGeobuf output`);
+
+    const columns = inferColumns(features, fgb.ColumnType);
+    // The index holds planar envelopes, which a bbox crossing the antimeridian is not
+    const items = features.map(feature => ({
+      feature,
+      bbox: feature.bbox && !crossesAntimeridian(feature.bbox) ? feature.bbox : turf.bbox(feature)
+    }));
+    const extent = items.reduce((box, item) => extend(box, item.bbox), [Infinity, Infinity, -Infinity, -Infinity]);
+    sortByHilbert(items, extent);
+
+    const headerMeta = { columns };
+    let offset = 0;
+    const buffers = items.map(item => {
+      const { geometry } = item.feature;
+      const properties = {};
+      for (const { name, type } of columns) {
+        properties[name] = columnValue((item.feature.properties || {})[name], type, fgb.ColumnType);
+      }
+      const parsed = geometry.type === 'GeometryCollection' ? fgb.parseGC(geometry) : fgb.parseGeometry(geometry);
+      const buffer = fgb.buildFeature(parsed, properties, headerMeta);
+      item.offset = offset;
+      offset += buffer.length;
+      return buffer;
+    });
+
+    const header = buildHeader(fgb, {
+      name: this.options.layerName || 'boundaries',
+      geometryType: fgb.inferGeometryType(features),
+      columns,
+      featuresCount: items.length,
+      extent
+    });
+    const index = buildIndex(fgb, items);
+    await fs.promises.writeFile(this.file, Buffer.concat([fgb.magicbytes, header, index, ...buffers]));
+  }
+}
+FlatGeobufWriter.extension = 'fgb';
+
+module.exports = { FlatGeobufWriter };
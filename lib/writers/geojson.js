@@ -0,0 +1,50 @@
+const { BufferedFileWriter } = require('./bufferedWriter');
+
+// Writes a FeatureCollection one feature at a time
+class FeatureCollectionWriter extends BufferedFileWriter {
+  constructor(file, options) {
+    super(file, options);
+    this.begin('{"type":"FeatureCollection","features":[\n');
+  }
+
+  async write(feature) {
+    await this.append((this.count > 0 ? ',\n' : '') + JSON.stringify(feature));
+    this.count++;
+  }
+
+  // `members` are extra top-level members such as the overall bbox
+  async end(members = {}) {
+    let text = '\n]';
+    for (const [key, value] of Object.entries(members)) {
+      text += `,${JSON.stringify(key)}:${JSON.stringify(value)}`;
+    }
+    await this.append(text + '}');
+    await this.close();
+  }
+}
+FeatureCollectionWriter.extension = 'geojson';
+FeatureCollectionWriter.readable = true;
+
+// Newline-delimited GeoJSON: one feature per line. Top-level members have no
+// place in a sequence and are ignored.
+class NdjsonWriter extends BufferedFileWriter {
+  async write(feature) {
+    await this.append(this.constructor.separator + JSON.stringify(feature) + '\n');
+    this.count++;
+  }
+
+  async end() {
+    await this.close();
+  }
+}
+NdjsonWriter.separator = '';
+NdjsonWriter.extension = 'ndjson';
+NdjsonWriter.readable = true;
+
+// GeoJSON Text Sequences (RFC 8142): every feature is preceded by an ASCII
+// record separator and followed by a line feed
+class GeoJsonSeqWriter extends NdjsonWriter {}
+GeoJsonSeqWriter.separator = '\x1e';
+GeoJsonSeqWriter.extension = 'geojsons';
+
+module.exports = { FeatureCollectionWriter, NdjsonWriter, GeoJsonSeqWriter };
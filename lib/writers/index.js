@@ -0,0 +1,83 @@
+const path = require('path');
+const { FeatureCollectionWriter, NdjsonWriter, GeoJsonSeqWriter } = require('./geojson');
+const { CsvTableWriter, JsonTableWriter } = require('./table');
+const { TopoJsonWriter } = require('./topojson');
+const { FlatGeobufWriter } = require('./flatgeobuf');
+
+// Output formats by name. Every writer is constructed as new Writer(file,
+// options) and has async write(feature) and end(); `extension` is the file
+// extension used for generated output names, and `readable` marks formats
+// that read back exactly as written, in the same order (the pipeline reloads
+// parents from them instead of re-linking). `resumable` formats accept a
+// `resume` option and can be written through a checkpoint (lib/checkpoint.js).
+// `table` formats have fixed columns of their own and are never shaped by an
+// output schema (lib/schema.js).
+const writers = {
+  geojson: FeatureCollectionWriter,
+  ndjson: NdjsonWriter,
+  geojsonseq: GeoJsonSeqWriter,
+  csv: CsvTableWriter,
+  table: JsonTableWriter,
+  topojson: TopoJsonWriter,
+  flatgeobuf: FlatGeobufWriter
+};
+
+function registerWriter(format, Writer) {
+  writers[format] = Writer;
+}
+
+function getWriter(format) {
+  const Writer = writers[format];
+  if (!Writer) throw new Error(`Unknown output format: ${format} (expected one of ${Object.keys(writers).join(', ')})`);
+  return Writer;
+}
+
+function isTable(format) {
+  return Boolean(getWriter(format).table);
+}
+
+function isResumable(format) {
+  return Boolean(getWriter(format).resumable);
+}
+
+function createWriter(file, format = 'geojson', options) {
+  const Writer = getWriter(format);
+  return new Writer(file, options);
+}
+
+function extensionFor(format) {
+  return getWriter(format).extension;
+}
+
+// Format from a file name; anything unknown GeoJSON. The lookup table is
+// written as .json but only ever on request (`table`), so that a .json output
+// keeps its geometry.
+function formatFromFile(file) {
+  const extension = path.extname(file).slice(1).toLowerCase();
+  if (['jsonl', 'geojsonl'].includes(extension)) return 'ndjson';
+  if (extension === 'json') return 'geojson';
+  const format = Object.keys(writers).find(name => writers[name].extension === extension);
+  return format || 'geojson';
+}
+
+function isReadable(format) {
+  return Boolean(getWriter(format).readable);
+}
+
+module.exports = {
+  writers,
+  registerWriter,
+  createWriter,
+  extensionFor,
+  formatFromFile,
+  isReadable,
+  isResumable,
+  isTable,
+  FeatureCollectionWriter,
+  NdjsonWriter,
+  GeoJsonSeqWriter,
+  CsvTableWriter,
+  JsonTableWriter,
+  TopoJsonWriter,
+  FlatGeobufWriter
+};
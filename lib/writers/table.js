@@ -0,0 +1,66 @@
+const { BufferedFileWriter } = require('./bufferedWriter');
+const { getFeatureId, getFeatureName } = require('../features');
+const { formatCsvLine } = require('../csv');
+
+// Geometry-free parent/child lookup rows. `idKey`/`nameKey` name the child's
+// own properties, `idField`/`nameField` the parent fields written by the linker.
+function tableRow(feature, { idKey, nameKey, idField = 'parent_id', nameField = 'parent_name' }) {
+  const { properties } = feature;
+  return {
+    id: getFeatureId(feature, idKey),
+    name: getFeatureName(feature, nameKey),
+    parent_id: properties[idField] === undefined ? null : properties[idField],
+    parent_name: properties[nameField] === undefined ? null : properties[nameField],
+    ancestors: properties.ancestors || []
+  };
+}
+
+// CSV with the ancestor path flattened to ';'-separated ids
+class CsvTableWriter extends BufferedFileWriter {
+  constructor(file, options = {}) {
+    super(file, options);
+    this.options = options;
+    this.begin('id,name,parent_id,parent_name,ancestor_ids\n');
+  }
+
+  async write(feature) {
+    const row = tableRow(feature, this.options);
+    await this.append(formatCsvLine([
+      row.id,
+      row.name,
+      row.parent_id,
+      row.parent_name,
+      row.ancestors.map(ancestor => ancestor.shapeID).join(';')
+    ]) + '\n');
+    this.count++;
+  }
+
+  async end() {
+    await this.close();
+  }
+}
+CsvTableWriter.extension = 'csv';
+CsvTableWriter.table = true;
+
+// JSON array of rows, ancestors kept as objects
+class JsonTableWriter extends BufferedFileWriter {
+  constructor(file, options = {}) {
+    super(file, options);
+    this.options = options;
+    this.begin('[\n');
+  }
+
+  async write(feature) {
+    await this.append((this.count > 0 ? ',\n' : '') + JSON.stringify(tableRow(feature, this.options)));
+    this.count++;
+  }
+
+  async end() {
+    await this.append('\n]\n');
+    await this.close();
+  }
+}
+JsonTableWriter.extension = 'json';
+JsonTableWriter.table = true;
+
+module.exports = { CsvTableWriter, JsonTableWriter, tableRow };
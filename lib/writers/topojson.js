@@ -0,0 +1,19 @@
+const fs = require('fs');
+const { topology } = require('topojson-server');
+const { CollectingWriter } = require('./bufferedWriter');
+
+// TopoJSON with arcs shared between neighbouring features. `objectName`
+// names the geometry collection (default "boundaries"); `quantization`
+// (e.g. 1e5) is passed to topojson-server.
+class TopoJsonWriter extends CollectingWriter {
+  async end() {
+    const { objectName = 'boundaries', quantization } = this.options;
+    const topo = topology({
+      [objectName]: { type: 'FeatureCollection', features: this.features }
+    }, quantization);
+    await fs.promises.writeFile(this.file, JSON.stringify(topo));
+  }
+}
+TopoJsonWriter.extension = 'topojson';
+
+module.exports = { TopoJsonWriter };
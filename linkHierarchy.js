@@ -0,0 +1,5 @@
+// Kept for existing workflows; equivalent to `geojson-parent-linker hierarchy`:
+//   node linkHierarchy.js [--mode <mode>] ADM0.geojson ADM1.geojson ADM2.geojson ...
+const { main } = require('./bin/geojson-parent-linker');
+
+main(['hierarchy', ...process.argv.slice(2)]);
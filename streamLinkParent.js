@@ -1,80 +1,37 @@
 const fs = require('fs');
-const readline = require('readline');
-const turf = require('@turf/turf');
+const { createLinker } = require('./lib/linker');
+const { readFeatures } = require('./lib/geojsonStream');
+const { readAllFeatures } = require('./lib/readers');
+const { createWriter, extensionFor } = require('./lib/writers');
 
 const parentFile = 'geoBoundaries-IND-ADM1_simplified.geojson';
 const childFile = 'geoBoundaries-IND-ADM2_simplified.geojson';
-const outputFile = 'adm2_with_parent_streamed.geojson';
+// Output formats from the command line, e.g. `node streamLinkParent.js geojson csv`
+const formats = process.argv.length > 2 ? process.argv.slice(2) : ['geojson'];
+const outputFiles = formats.map(format => `adm2_with_parent_streamed.${extensionFor(format)}`);
 
 if (!fs.existsSync(parentFile) || !fs.existsSync(childFile)) {
   console.error('Error: Input files missing:', { parentFile, childFile });
   process.exit(1);
 }
 
-const parent = JSON.parse(fs.readFileSync(parentFile));
-
-function getPolygons(feature) {
-  if (feature.geometry.type === 'Polygon') return [feature];
-  if (feature.geometry.type === 'MultiPolygon') {
-    return feature.geometry.coordinates.map(coords => ({
-      type: 'Feature',
-      properties: feature.properties,
-      geometry: { type: 'Polygon', coordinates: coords }
-    }));
-  }
-  return [];
-}
-
 (async function processLargeGeoJSON() {
   try {
-    fs.writeFileSync(outputFile, '{"type":"FeatureCollection","features":[\n');
-    const data = JSON.parse(fs.readFileSync(childFile));
-    const features = data.features;
-
-    for (let i = 0; i < features.length; i++) {
-      let childFeature = features[i];
-      childFeature.bbox = turf.bbox(childFeature);
-
-      let foundParent = false;
-      const childPolygons = getPolygons(childFeature);
-
-      for (const parentFeature of parent.features) {
-        const parentPolygons = getPolygons(parentFeature);
-        for (const polyChild of childPolygons) {
-          for (const polyParent of parentPolygons) {
-            try {
-              if (
-                turf.booleanWithin(polyChild, polyParent) ||
-                turf.booleanOverlap(polyChild, polyParent) ||
-                turf.booleanIntersects(polyChild, polyParent)
-              ) {
-                childFeature.properties.parent_id = parentFeature.properties.shapeID || parentFeature.id;
-                childFeature.properties.parent_name = parentFeature.properties.shapeName || parentFeature.properties.shapename;
-                foundParent = true;
-                break;
-              }
-            } catch (e) {
-              console.warn(`Spatial check failed for feature ${i + 1}:`, e.message);
-            }
-          }
-          if (foundParent) break;
-        }
-        if (foundParent) break;
-      }
-      if (!foundParent) {
-        childFeature.properties.parent_id = null;
-        childFeature.properties.parent_name = null;
-        console.warn(`No parent found for ADM1 feature ${i + 1}: ${childFeature.properties.shapeID}`);
-      }
-
-      fs.appendFileSync(outputFile, JSON.stringify(childFeature) + (i < features.length - 1 ? ',\n' : '\n'));
-      if (i % 100 === 0) console.log(`Processed feature ${i + 1} of ${features.length}`);
+    const linkFeature = createLinker(await readAllFeatures(parentFile), { level: 2 });
+    const writers = formats.map((format, n) => createWriter(outputFiles[n], format));
+
+    let i = 0;
+    for await (const childFeature of readFeatures(childFile)) {
+      const feature = linkFeature(childFeature, i);
+      for (const writer of writers) await writer.write(feature);
+      if (i % 100 === 0) console.log(`Processed feature ${i + 1}`);
+      i++;
     }
 
-    fs.appendFileSync(outputFile, ']}');
-    console.log(`Done! Output written to ${outputFile}`);
+    for (const writer of writers) await writer.end();
+    console.log(`Done! ${i} features written to ${outputFiles.join(', ')}`);
   } catch (error) {
     console.error('Script failed:', error);
     process.exit(1);
   }
-})();
\ No newline at end of file
+})();
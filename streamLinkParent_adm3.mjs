@@ -1,10 +1,57 @@
 import fs from 'fs';
-import { bbox, booleanWithin, booleanIntersects, booleanOverlap } from '@turf/turf';
-import RBush from 'rbush';
+import { parseArgs } from 'util';
+import { booleanWithin, booleanIntersects, booleanOverlap } from '@turf/turf';
+import { getPolygons } from './lib/features.js';
+import { overlapCandidates } from './lib/linker.js';
+import { createSpatialIndex, createGroupedIndex } from './lib/spatialIndex.js';
+import { readFeatures } from './lib/geojsonStream.js';
+import { createWriter, extensionFor } from './lib/writers/index.js';
+import { LinkReport, writeReport } from './lib/report.js';
+import { CheckpointedOutput, fileStamp } from './lib/checkpoint.js';
+import { compileSchema, loadSchema } from './lib/schema.js';
+import { shrinkFeature, shrinkFeatures } from './lib/simplify.js';
+import { parseVariant, variantFile } from './lib/output.js';
+import { geoBbox, mergeBboxes, splitAtAntimeridian } from './lib/antimeridian.js';
 
 const adm1File = 'geoBoundaries-IND-ADM1_simplified.geojson';
 const adm2File = 'adm2_with_parent_streamed.geojson';
 const adm3File = 'geoBoundaries-IND-ADM3_simplified.geojson';
+const outputFile = 'adm3_with_parent_streamed.geojson';
+const reportFile = 'adm3_link_report.json';
+// Progress is checkpointed every 1000 features; `--resume` continues an
+// interrupted run. `--schema <file>` replaces the default output properties
+// (see lib/schema.js). `--precision <n>` rounds the written coordinates and
+// `--drop-bbox` leaves out the per-feature bbox; every `--variant
+// <name>:<tolerance>[:<precision>]` adds a simplified copy such as
+// adm3_with_parent_streamed.z4.geojson (see lib/output.js).
+// Features crossing ±180 are matched cut into a part either side (see
+// lib/antimeridian.js); `--split-antimeridian` writes the children so cut
+// too. Formats written besides the GeoJSON output follow, e.g.
+// `node streamLinkParent_adm3.mjs --resume --precision 5 --variant z4:0.05:3 csv flatgeobuf`
+const { values: args, positionals } = parseArgs({
+  options: {
+    resume: { type: 'boolean', default: false },
+    schema: { type: 'string' },
+    precision: { type: 'string' },
+    'drop-bbox': { type: 'boolean', default: false },
+    'split-antimeridian': { type: 'boolean', default: false },
+    variant: { type: 'string', multiple: true }
+  },
+  allowPositionals: true
+});
+const size = { precision: args.precision === undefined ? undefined : Number(args.precision), bbox: !args['drop-bbox'] };
+if (size.precision !== undefined && !(Number.isInteger(size.precision) && size.precision >= 0)) {
+  throw new Error(`Invalid --precision: ${args.precision}`);
+}
+const variants = (args.variant || []).map(parseVariant);
+// Every source property, plus the linking fields (null when not set)
+const schema = args.schema ? loadSchema(args.schema) : {
+  defaults: { shapeID: null, shapeName: null, parent_id: null, parent_name: null, state_name: null, parent_state: null }
+};
+const extraOutputs = positionals.map(format => ({
+  format,
+  file: `adm3_with_parent_streamed.${extensionFor(format)}`
+}));
 
 try {
   if (!fs.existsSync(adm1File)) throw new Error(`ADM1 file ${adm1File} not found`);
@@ -21,47 +68,51 @@ try {
   try { adm2Data = JSON.parse(fs.readFileSync(adm2File)); } catch (e) { console.error('Failed to parse ADM2:', e.message); throw e; }
   console.log('ADM2 loaded, features count:', adm2Data.features?.length || 'N/A');
 
-  console.log('Loading ADM3:', 'Found');
-  let adm3Data;
-  try { adm3Data = JSON.parse(fs.readFileSync(adm3File)); } catch (e) { console.error('Failed to parse ADM3:', e.message); throw e; }
-  console.log('ADM3 loaded, features count:', adm3Data.features?.length || 'N/A');
-
-  // Build spatial index for ADM1
-  const adm1Tree = new RBush();
-  const adm1Boxes = adm1Data.features.map((feature, index) => {
+  // Cut a feature crossing ±180 into a part either side, as the planar turf
+  // checks need; a feature that cannot be cut is kept as it is. Parents and
+  // the shapes children are matched by are always cut, the children written
+  // only with --split-antimeridian.
+  function splitFeature(feature, label, index, always = true) {
+    if (!feature || !feature.geometry) return feature;
+    if (!always && !args['split-antimeridian']) return feature;
     try {
-      const box = bbox(feature);
-      return { minX: box[0], minY: box[1], maxX: box[2], maxY: box[3], index, shapeName: feature.properties.shapeName };
+      return splitAtAntimeridian(feature);
     } catch (e) {
-      console.warn(`BBox error for ADM1 feature ${index + 1}: ${e.message}`);
-      return null;
+      console.warn(`Antimeridian split failed for ${label} feature ${index + 1}: ${e.message}`);
+      return feature;
     }
-  }).filter(box => box !== null);
-  adm1Tree.load(adm1Boxes);
-
-  // Group ADM2 by parent_name (state), normalizing case
-  const adm2ByState = new Map();
-  adm2Data.features.forEach((feature, index) => {
-    if (feature.properties && feature.properties.parent_name) {
-      const stateName = feature.properties.parent_name.toLowerCase().normalize('NFKD').replace(/[^\w]/g, '');
-      if (!adm2ByState.has(stateName)) adm2ByState.set(stateName, []);
-      adm2ByState.get(stateName).push({ index, feature });
-    }
-  });
+  }
+  adm1Data.features = adm1Data.features.map((feature, index) => splitFeature(feature, 'ADM1', index));
+  adm2Data.features = adm2Data.features.map((feature, index) => splitFeature(feature, 'ADM2', index));
 
-  function getPolygons(feature) {
-    if (!feature || !feature.geometry) return [];
-    if (feature.geometry.type === 'Polygon') return [feature];
-    if (feature.geometry.type === 'MultiPolygon') {
-      return feature.geometry.coordinates.map(coords => ({
-        type: 'Feature',
-        properties: feature.properties || {},
-        geometry: { type: 'Polygon', coordinates: coords }
-      }));
-    }
-    return [];
+  // Compute a bbox per feature, dropping features whose geometry is unusable
+  function withBboxes(features, label) {
+    return features.map((feature, index) => {
+      try {
+        return { feature, bbox: geoBbox(feature) };
+      } catch (e) {
+        console.warn(`BBox error for ${label} feature ${index + 1}: ${e.message}`);
+        return null;
+      }
+    }).filter(entry => entry !== null);
   }
 
+  // Build spatial index for ADM1
+  const adm1Index = createSpatialIndex(withBboxes(adm1Data.features, 'ADM1'));
+
+  // Index ADM2 separately under each ADM1 parent_id, so candidates are narrowed
+  // geometrically and by id rather than by matching state names. Entries carry
+  // their polygons, as the linker's do, so the report can list every ADM2 unit
+  // a child overlaps.
+  const adm2ByParentId = createGroupedIndex(
+    withBboxes(adm2Data.features.filter(feature => feature.properties && feature.properties.parent_id != null), 'ADM2')
+      .map(entry => ({ ...entry, polygons: getPolygons(entry.feature) })),
+    entry => entry.feature.properties.parent_id
+  );
+
+  const report = new LinkReport({ level: 3, parentFeatures: adm2Data.features });
+  const shape = compileSchema(schema);
+
   function processFeature(childFeature, index) {
     if (!childFeature || !childFeature.properties || !childFeature.geometry) {
       console.warn(`Invalid feature structure at index ${index + 1}`);
@@ -69,33 +120,35 @@ try {
     }
 
     let box;
-    try { box = bbox(childFeature); } catch (e) {
+    try { box = geoBbox(childFeature); } catch (e) {
       console.warn(`BBox failed for ADM3 feature ${childFeature.properties.shapeID || index + 1}: ${e.message}`);
       return;
     }
 
-    const childPolygons = getPolygons(childFeature);
+    const childShape = splitFeature(childFeature, 'ADM3', index);
+    const childPolygons = getPolygons(childShape);
     if (childPolygons.length === 0) {
       console.warn(`No valid polygons for feature ${index + 1}`);
       return;
     }
 
+    // The ADM1 unit found, tracked by feature so that one without a name
+    // still narrows the ADM2 candidates
+    let matchedAdm1 = null;
     let matchedState = null;
+    let matchedStateId = null;
 
     // Step 1: Filter by ADM1
-    const adm1Candidates = box ? adm1Tree.search({
-      minX: box[0], minY: box[1], maxX: box[2], maxY: box[3]
-    }) : adm1Tree.all();
-
-    for (const adm1Candidate of adm1Candidates) {
-      const adm1Feature = adm1Data.features[adm1Candidate.index];
-      if (!adm1Feature || !adm1Feature.properties) continue;
+    for (const { feature: adm1Feature } of adm1Index.search(box)) {
+      if (!adm1Feature.properties) continue;
 
       for (const polyChild of childPolygons) {
         for (const polyAdm1 of getPolygons(adm1Feature)) {
           try {
             if (booleanWithin(polyChild, polyAdm1) || booleanIntersects(polyChild, polyAdm1)) {
-              matchedState = adm1Feature.properties.shapeName;
+              matchedAdm1 = adm1Feature;
+              matchedState = adm1Feature.properties.shapeName ?? null;
+              matchedStateId = adm1Feature.properties.shapeID ?? null;
               childFeature.properties.parent_state = matchedState;
               if (index < 10) { // Only log first 10 for readability
                 console.log(`ADM3 ${childFeature.properties.shapeID} (${childFeature.properties.shapeName}) belongs to ADM1: ${matchedState}`);
@@ -106,25 +159,24 @@ try {
             console.warn(`ADM1 spatial check failed for ADM3 ${childFeature.properties.shapeID || index + 1}: ${e.message}`);
             continue;
           }
-          if (matchedState) break;
+          if (matchedAdm1 !== null) break;
         }
-        if (matchedState) break;
+        if (matchedAdm1 !== null) break;
       }
-      if (matchedState) break;
+      if (matchedAdm1 !== null) break;
     }
 
-    // Step 2: Match against ADM2 within the state
+    // Step 2: Match against the ADM2 features of that state overlapping the child's bbox
     let foundParent = false;
-    if (matchedState) {
-      const normalizedState = matchedState.toLowerCase().normalize('NFKD').replace(/[^\w]/g, '');
-      const adm2Candidates = adm2ByState.get(normalizedState) || [];
+    if (matchedAdm1 !== null) {
+      const stateIndex = adm2ByParentId.get(matchedStateId);
+      if (!stateIndex) report.recordGroupingFailure(childFeature, index, matchedStateId);
+      const adm2Candidates = stateIndex ? stateIndex.search(box) : [];
       if (index < 10) { // Only log first 10 for readability
         console.log(`Debug: Checking ${adm2Candidates.length} ADM2 candidates for ${matchedState}`);
       }
 
-      for (const adm2Candidate of adm2Candidates) {
-        const adm2Feature = adm2Candidate.feature;
-        if (!adm2Feature || !adm2Feature.properties) continue;
+      for (const { feature: adm2Feature } of adm2Candidates) {
 
         for (const polyChild of childPolygons) {
           for (const polyAdm2 of getPolygons(adm2Feature)) {
@@ -135,8 +187,11 @@ try {
                 booleanIntersects(polyChild, polyAdm2)
               ) {
                 if (!foundParent) { // Take first match
-                  childFeature.properties.parent_id = adm2Feature.properties.shapeID || null;
-                  childFeature.properties.parent_name = adm2Feature.properties.shapeName || null;
+                  // Every ADM2 unit of the state the child overlaps, with its share of the child
+                  const candidates = overlapCandidates({ ...childShape, bbox: box }, stateIndex, { index, logger: console });
+                  report.record(childFeature, adm2Feature, { index, candidates });
+                  childFeature.properties.parent_id = adm2Feature.properties.shapeID ?? null;
+                  childFeature.properties.parent_name = adm2Feature.properties.shapeName ?? null;
                   if (index < 10) { // Only log first 10 for readability
                     console.log(`  Matched to ADM2: ${adm2Feature.properties.shapeName} (ID: ${adm2Feature.properties.shapeID})`);
                     console.log(`  Final parent_id: ${adm2Feature.properties.shapeID}, parent_name: ${adm2Feature.properties.shapeName}`);
@@ -156,6 +211,7 @@ try {
       }
 
       if (!foundParent) {
+        report.record(childFeature, null, { index });
         childFeature.properties.parent_name = matchedState;
         childFeature.properties.state_name = matchedState;
         if (index < 10) { // Only log first 10 for readability
@@ -163,103 +219,97 @@ try {
         }
       }
     } else {
+      report.record(childFeature, null, { index });
       console.warn(`No ADM1 match for ADM3 feature ${childFeature.properties.shapeID || index + 1}`);
     }
   }
 
-  // Process all ADM3 features with proper streaming
-  const chunkSize = 1000;
-  let overallBbox = [Infinity, Infinity, -Infinity, -Infinity];
+  // Stream ADM3 features from disk straight through to the output file
+  let overallBbox = null;
   let processedCount = 0;
-  const totalFeatures = adm3Data.features.length;
-
-  console.log(`Starting processing of ${totalFeatures} ADM3 features...`);
-
-  // Initialize output file
-  fs.writeFileSync('adm3_with_parent_streamed.geojson', '{"type":"FeatureCollection","features":[\n');
-
-  for (let i = 0; i < totalFeatures; i += chunkSize) {
-    const chunk = adm3Data.features.slice(i, i + chunkSize);
-    const actualChunkSize = chunk.length;
-
-    chunk.forEach((feature, chunkIndex) => {
-      const globalIndex = i + chunkIndex;
-      
-      // Validate feature before processing
-      if (!feature || !feature.properties || !feature.geometry) {
-        console.warn(`Skipping invalid feature at index ${globalIndex + 1}`);
-        return;
-      }
+  let globalIndex = 0;
 
-      processFeature(feature, globalIndex);
-
-      // Update overall bounding box
-      try {
-        const featureBbox = bbox(feature);
-        overallBbox[0] = Math.min(overallBbox[0], featureBbox[0]);
-        overallBbox[1] = Math.min(overallBbox[1], featureBbox[1]);
-        overallBbox[2] = Math.max(overallBbox[2], featureBbox[2]);
-        overallBbox[3] = Math.max(overallBbox[3], featureBbox[3]);
-      } catch (e) {
-        console.warn(`BBox calculation failed for feature ${globalIndex + 1}: ${e.message}`);
-      }
-
-      // Create clean output feature with individual bbox
-      let featureBbox = null;
-      try {
-        featureBbox = bbox(feature);
-      } catch (e) {
-        console.warn(`Failed to calculate bbox for feature ${globalIndex + 1}: ${e.message}`);
-      }
-
-      const outputFeature = {
-        type: 'Feature',
-        properties: {
-          shapeID: feature.properties.shapeID || null,
-          shapeName: feature.properties.shapeName || null,
-          parent_id: feature.properties.parent_id || null,
-          parent_name: feature.properties.parent_name || null,
-          state_name: feature.properties.state_name || null,
-          parent_state: feature.properties.parent_state || null
-        },
-        bbox: featureBbox,
-        geometry: feature.geometry || null
-      };
+  const writer = new CheckpointedOutput(outputFile, 'geojson', {
+    key: { inputs: [adm1File, adm2File, adm3File].map(fileStamp), schema, size, splitAntimeridian: args['split-antimeridian'] },
+    resume: args.resume,
+    snapshot: () => ({ globalIndex, processedCount, overallBbox, report: report.snapshot(globalIndex, writer.logFile) })
+  });
+  if (writer.state) {
+    ({ globalIndex, processedCount, overallBbox } = writer.state);
+    report.restore(writer.state.report, writer.logFile);
+  }
+  const resumeIndex = globalIndex;
+
+  console.log(`Starting streamed processing of ${adm3File}...`);
+  let inputIndex = 0;
+  for await (const inputFeature of readFeatures(adm3File)) {
+    if (inputIndex++ < resumeIndex) continue;
+    const index = globalIndex++;
+    const feature = splitFeature(inputFeature, 'ADM3', index, false);
+
+    // Validate feature before processing
+    if (!feature || !feature.properties || !feature.geometry) {
+      console.warn(`Skipping invalid feature at index ${index + 1}`);
+      continue;
+    }
 
-      // Write individual feature with proper comma separation
-      const isLast = globalIndex === totalFeatures - 1;
-      const separator = isLast ? '\n' : ',\n';
-      fs.appendFileSync('adm3_with_parent_streamed.geojson', JSON.stringify(outputFeature) + separator);
+    processFeature(feature, index);
 
-      processedCount++;
-    });
+    // Shape the output feature by the schema, with its own bbox, and extend the overall bbox
+    let featureBbox = null;
+    try {
+      featureBbox = geoBbox(feature);
+      overallBbox = overallBbox ? mergeBboxes([overallBbox, featureBbox]) : featureBbox;
+    } catch (e) {
+      console.warn(`BBox calculation failed for feature ${index + 1}: ${e.message}`);
+    }
 
-    console.log(`Processed chunk ${Math.floor(i / chunkSize) + 1} of ${Math.ceil(totalFeatures / chunkSize)} (${processedCount}/${totalFeatures} features)`);
+    const outputFeature = shrinkFeature(shape({
+      type: 'Feature',
+      properties: feature.properties,
+      bbox: featureBbox,
+      geometry: feature.geometry || null
+    }), size);
+    processedCount++;
+    await writer.write(outputFeature);
+    if (processedCount % 1000 === 0) console.log(`Processed ${processedCount} features`);
   }
 
-  // Close features array and add bbox
-  const validBbox = overallBbox.every(coord => isFinite(coord));
-  if (validBbox) {
-    fs.appendFileSync('adm3_with_parent_streamed.geojson', '],"bbox":' + JSON.stringify(overallBbox) + '}');
-  } else {
-    fs.appendFileSync('adm3_with_parent_streamed.geojson', ']}');
-  }
+  // Close features array and add bbox; the output file appears only now
+  await writer.end(overallBbox ? { bbox: overallBbox } : {});
 
   console.log(`Processing completed for ${processedCount} ADM3 features`);
-  if (validBbox) {
+  if (overallBbox) {
     console.log('Overall bbox:', overallBbox);
   }
-  console.log('Output written to adm3_with_parent_streamed.geojson');
+  writeReport(report, reportFile);
 
-  // Validate the output file
+  // Validate the output file by streaming it back, writing the extra formats
+  // and variants from it (they cannot be resumed, so they are only written
+  // once it is complete)
+  const variantOutputs = variants.map(variant => ({ ...variant, file: variantFile(outputFile, variant.name) }));
   try {
-    const testRead = JSON.parse(fs.readFileSync('adm3_with_parent_streamed.geojson', 'utf8'));
+    const extraWriters = extraOutputs.map(({ file, format }) => createWriter(file, format));
+    const collected = variants.length > 0 ? [] : null;
+    let outputCount = 0;
+    for await (const feature of readFeatures(outputFile)) {
+      outputCount++;
+      for (const extraWriter of extraWriters) await extraWriter.write(feature);
+      if (collected) collected.push(feature);
+    }
+    for (const extraWriter of extraWriters) await extraWriter.end();
     console.log('JSON validation successful - file is valid');
-    console.log(`Features in output: ${testRead.features.length}`);
-    console.log(`BBox included: ${testRead.bbox ? 'Yes' : 'No'}`);
+    console.log(`Features in output: ${outputCount}`);
+
+    for (const variant of variantOutputs) {
+      const variantWriter = createWriter(variant.file, 'geojson');
+      for (const feature of shrinkFeatures(collected, { ...variant, bbox: size.bbox })) await variantWriter.write(feature);
+      await variantWriter.end();
+    }
   } catch (validationError) {
     console.error('Output file validation failed:', validationError.message);
   }
+  console.log(`Output written to ${[outputFile, ...extraOutputs.map(output => output.file), ...variantOutputs.map(output => output.file)].join(', ')}`);
 
 } catch (error) {
   console.error(`Fatal error: ${error.message}`);
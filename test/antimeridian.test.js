@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const turf = require('@turf/turf');
+const { geoBbox, mergeBboxes, geoArea, splitAtAntimeridian } = require('../lib/antimeridian');
+const { createSpatialIndex } = require('../lib/spatialIndex');
+const { UnitIndex } = require('../lib/server');
+const { linkParents, linkHierarchy, PointLookup } = require('..');
+const { assignments } = require('./helpers');
+
+const polygon = (shapeID, ...rings) => ({ type: 'Feature', properties: { shapeID }, geometry: { type: 'Polygon', coordinates: rings } });
+const box = (west, south, east, north) => [[west, south], [east, south], [east, north], [west, north], [west, south]];
+
+// Fiji-like units: a state across ±180 with a district either side of 179°,
+// written as rings that jump from 179 to -179
+function fiji() {
+  return {
+    states: [polygon('FJ', box(176, -20, -178, -15)), polygon('XX', box(0, -20, 10, -15))],
+    districts: [polygon('W', box(176, -20, 179, -15)), polygon('E', box(179, -20, -178, -15))],
+    islands: [
+      polygon('e1', box(179.5, -17, -179, -16)),
+      polygon('w1', box(177, -18, 178, -17)),
+      polygon('b1', box(178.5, -19, -179.5, -18)) // a quarter west of 179, three quarters east
+    ]
+  };
+}
+
+test('looks up points in units crossing the antimeridian', () => {
+  // With the plain bbox of turf.bbox, which spans the globe
+  const states = fiji().states.map(state => ({ ...state, bbox: turf.bbox(state) }));
+  const lookup = new PointLookup([states]);
+  const ids = (lon, lat) => lookup.lookup(lon, lat).map(unit => unit.shapeID);
+  assert.deepEqual(ids(-179.5, -17), ['FJ']);
+  assert.deepEqual(ids(179.5, -17), ['FJ']);
+  assert.deepEqual(ids(177, -17), ['FJ']);
+  assert.deepEqual(ids(5, -17), ['XX']);
+  assert.deepEqual(ids(-90, -17), []);
+  const units = new UnitIndex([states]);
+  assert.deepEqual(units.lookup(-179.5, -17).map(unit => unit.id), ['FJ']);
+  assert.deepEqual(units.lookup(-90, -17), []);
+});
+
+test('bboxes cross the antimeridian instead of spanning the globe', () => {
+  const [e1] = fiji().islands;
+  assert.deepEqual(turf.bbox(e1), [-179, -17, 179.5, -16]);
+  assert.deepEqual(geoBbox(e1), [179.5, -17, -179, -16]);
+  // Islands either side of ±180 without a crossing ring
+  assert.deepEqual(geoBbox({
+    type: 'MultiPolygon',
+    coordinates: [[box(-179, 0, -178, 1)], [box(178, 0, 179, 1)], [box(179.5, 2, 179.8, 3)]]
+  }), [178, 0, -178, 3]);
+  assert.deepEqual(geoBbox({ type: 'MultiPoint', coordinates: [[-170, 1], [170, 2]] }), [170, 1, -170, 2]);
+  // Anything else gets the bbox of turf.bbox
+  const others = [polygon('a', box(0, 0, 10, 10)), { type: 'LineString', coordinates: [[-170, 1], [-10, 2], [170, 0]] }];
+  for (const other of others) assert.deepEqual(geoBbox(other), turf.bbox(other));
+  assert.deepEqual(mergeBboxes([[170, 0, -170, 1], [-100, -5, -90, 5]]), [170, -5, -90, 5]);
+  assert.deepEqual(mergeBboxes([[0, 0, 1, 1], [5, 0, 6, 1]]), [0, 0, 6, 1]);
+});
+
+test('indexes and searches crossing bboxes on both sides', () => {
+  const index = createSpatialIndex([
+    { id: 'crossing', bbox: [179, -20, -178, -15] },
+    { id: 'west', bbox: [176, -20, 179, -15] },
+    { id: 'middle', bbox: [0, -20, 10, -15] }
+  ]);
+  const ids = bbox => index.search(bbox).map(item => item.id);
+  assert.deepEqual(ids([-179, -17, -179, -17]), ['crossing']);
+  assert.deepEqual(ids([179.5, -17, 179.6, -16]), ['crossing']);
+  assert.deepEqual(ids([178, -17, -179, -16]), ['crossing', 'west']);
+  assert.deepEqual(ids([5, -17, 6, -16]), ['middle']);
+});
+
+test('splits crossing geometries at ±180', () => {
+  const holed = polygon('h', box(176, -20, -176, -10), box(-179.5, -16, -178.5, -15));
+  const split = splitAtAntimeridian({ ...holed, bbox: [0, 0, 0, 0] });
+  assert.deepEqual(split.geometry, {
+    type: 'MultiPolygon',
+    coordinates: [
+      [box(176, -20, 180, -10)],
+      [box(-180, -20, -176, -10), box(-179.5, -16, -178.5, -15)]
+    ]
+  });
+  assert.deepEqual(split.bbox, [176, -20, -176, -10]);
+  assert.equal(Math.round(geoArea(split)), Math.round(geoArea(holed)));
+  // Measured the short way round: 8° by 10°, less the hole
+  assert.ok(geoArea(holed) < 1e12 && turf.area(holed) > 1e13);
+
+  const line = { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[170, 0], [-170, 10]] } };
+  assert.deepEqual(splitAtAntimeridian(line).geometry.coordinates, [[[170, 0], [180, 5]], [[-180, 5], [-170, 10]]]);
+  const point = { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [190, 0] } };
+  assert.deepEqual(splitAtAntimeridian(point).geometry.coordinates, [-170, 0]);
+  const inside = polygon('a', box(0, 0, 1, 1));
+  assert.equal(splitAtAntimeridian(inside), inside);
+});
+
+test('links units across the antimeridian by their true areas', () => {
+  const { states, districts, islands } = fiji();
+  const { levels } = linkHierarchy([states, districts, islands], { mode: 'area', splitAntimeridian: true });
+  const [, linkedDistricts, linkedIslands] = levels.map(level => level.features);
+  assert.deepEqual(assignments(linkedDistricts), { W: 'FJ', E: 'FJ' });
+  assert.deepEqual(assignments(linkedIslands), { e1: 'E', w1: 'W', b1: 'E' });
+  assert.equal(linkedIslands[2].properties.parent_overlap_ratio, 0.75);
+  assert.deepEqual(linkedIslands[0].bbox, [179.5, -17, -179, -16]);
+  assert.equal(linkedIslands[0].geometry.type, 'MultiPolygon');
+
+  // Near the pole a degree of latitude holds less area: the child is half in
+  // each parent by degrees, but mostly in the southern one
+  const north = polygon('N', box(10, 70, 20, 80));
+  const south = polygon('S', box(10, 60, 20, 70));
+  const { features } = linkParents([north, south], [polygon('c', box(12, 65, 14, 75))], { mode: 'area' });
+  assert.equal(features[0].properties.parent_id, 'S');
+  assert.ok(features[0].properties.parent_overlap_ratio > 0.55);
+});
+
+// Without splitAntimeridian, crossing units are matched as split copies and
+// written as they came
+test('links units across the antimeridian without splitting them', () => {
+  for (const mode of ['first', 'area']) {
+    const { states, districts, islands } = fiji();
+    const { levels } = linkHierarchy([states, districts, islands], { mode });
+    const [, unsplitDistricts, unsplitIslands] = levels.map(level => level.features);
+    assert.deepEqual(assignments(unsplitDistricts), { W: 'FJ', E: 'FJ' });
+    assert.deepEqual(assignments(unsplitIslands), { e1: 'E', w1: 'W', b1: mode === 'area' ? 'E' : 'W' });
+    assert.deepEqual(unsplitIslands[0].geometry, fiji().islands[0].geometry);
+  }
+  assert.equal(linkParents(fiji().states, fiji().islands.slice(2), { mode: 'area' }).features[0].properties.parent_overlap_ratio, 1);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  linkParents,
+  linkParentsIterable,
+  linkHierarchy,
+  buildTree,
+  PointLookup
+} = require('..');
+const { readFixture, fixturePath, assignments, collect } = require('./helpers');
+
+test('linkParents returns linked copies and a summary', () => {
+  const parents = readFixture('adm1.geojson');
+  const children = readFixture('adm2.geojson');
+  const before = JSON.stringify(children);
+  const { features, summary } = linkParents(parents, children, { mode: 'area' });
+
+  assert.equal(JSON.stringify(children), before);
+  assert.equal(features.length, 10);
+  assert.equal(summary.total, 10);
+  assert.equal(summary.matched, 9);
+  assert.equal(summary.unmatched, 1);
+  assert.deepEqual(summary.unmatchedIds, ['o1']);
+  assert.deepEqual(summary.warnings, ['No parent found for ADM1 feature 10: o1']);
+});
+
+test('linkParents can return a linkage report', () => {
+  const { report } = linkParents(readFixture('adm1.geojson'), readFixture('adm2.geojson').features, {
+    mode: 'area',
+    report: true
+  });
+  assert.equal(report.totals.children, 10);
+  assert.deepEqual(report.unmatched.map(child => child.id), ['o1']);
+  assert.deepEqual(report.ambiguous.map(child => child.id), ['s1', 's2', 'm1']);
+  assert.deepEqual(report.childlessParents, []);
+});
+
+test('linkParentsIterable streams files, on one thread or several', async () => {
+  const sequential = linkParentsIterable(fixturePath('adm1.geojson'), fixturePath('adm2.geojson'), { mode: 'area' });
+  const parallel = linkParentsIterable(fixturePath('adm1.geojson'), fixturePath('adm2.geojson'), {
+    mode: 'area',
+    workers: 2,
+    batchSize: 3
+  });
+  const one = await collect(sequential.features);
+  const two = await collect(parallel.features);
+
+  assert.deepEqual(two, one);
+  assert.deepEqual(parallel.summary, sequential.summary);
+  assert.equal(sequential.summary.matched, 9);
+  assert.equal(assignments(one).s2, 'E');
+});
+
+test('linkHierarchy builds ancestor chains down the levels', () => {
+  const { levels, summaries } = linkHierarchy([
+    readFixture('adm0.geojson'),
+    readFixture('adm1.geojson'),
+    readFixture('adm2.geojson')
+  ], { mode: 'area' });
+
+  const w1 = levels[2].features[0];
+  assert.deepEqual(w1.properties.ancestors, [
+    { level: 0, shapeID: 'C', shapeName: 'Country' },
+    { level: 1, shapeID: 'W', shapeName: 'West' }
+  ]);
+  assert.deepEqual(summaries.map(summary => summary.unmatched), [0, 1]);
+});
+
+test('buildTree nests linked levels', () => {
+  const { levels } = linkHierarchy([
+    readFixture('adm0.geojson'),
+    readFixture('adm1.geojson'),
+    readFixture('adm2.geojson')
+  ], { mode: 'area' });
+  const tree = buildTree(levels);
+
+  assert.equal(tree.levels, 3);
+  assert.equal(tree.tree.length, 1);
+  const country = tree.tree[0];
+  assert.equal(country.childCount, 6);
+  const east = country.children.find(node => node.id === 'E');
+  assert.deepEqual(east.children.map(node => node.id), ['s2', 't1', 'm1']);
+  assert.deepEqual(tree.unassigned, [{ level: 2, id: 'o1', name: 'Offshore', parent_id: null }]);
+  assert.equal(tree.adjacency.length, 16);
+});
+
+test('PointLookup returns the chain of units containing a point', () => {
+  const { levels } = linkHierarchy([
+    readFixture('adm0.geojson'),
+    readFixture('adm1.geojson'),
+    readFixture('adm2.geojson')
+  ], { mode: 'area' });
+  const lookup = new PointLookup(levels);
+
+  assert.deepEqual(lookup.lookup(1, 1), [
+    { level: 0, shapeID: 'C', shapeName: 'Country' },
+    { level: 1, shapeID: 'W', shapeName: 'West' },
+    { level: 2, shapeID: 'w1', shapeName: 'Nested' }
+  ]);
+  // In the hole of H, where L answers; no ADM2 unit covers this point
+  assert.deepEqual(lookup.lookup(1.2, 4.2).map(unit => unit.shapeID), ['C', 'L']);
+  assert.deepEqual(lookup.lookup(20, 20), []);
+});
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeName, nameSimilarity, parseJoin, createAttributeMatcher } = require('../lib/attributes');
+const { linkLevel } = require('../lib/linker');
+const { linkIncremental } = require('../lib/incremental');
+const { linkParents, linkParentsIterable } = require('..');
+const { readFixture, assignments, silent, collect } = require('./helpers');
+
+// The fixtures with census-style codes: every child code starts with its
+// parent's, except m1 (coded to W though E covers most of it) and o1 (coded
+// to I though it lies offshore). n1 has a code but no geometry.
+const PARENT_CODES = { W: '01', E: '02', I: '03', H: '04', L: '05' };
+const CHILD_CODES = { w1: '0101', s1: '0102', s2: '0201', t1: '0202', m1: '0103', i1: '0301', h1: '0501', r1: '0401', o1: '0302' };
+
+function parents() {
+  const features = readFixture('adm1.geojson').features;
+  features.forEach(feature => {
+    feature.properties.code = PARENT_CODES[feature.properties.shapeID];
+  });
+  return features;
+}
+
+function children() {
+  const features = readFixture('adm2.geojson').features;
+  features.forEach(feature => {
+    feature.properties.code = CHILD_CODES[feature.properties.shapeID];
+  });
+  features.push({ type: 'Feature', properties: { shapeID: 'n1', code: '0203' }, geometry: null });
+  return features;
+}
+
+const joins = [{ type: 'prefix', child: 'code', parent: 'code' }];
+
+test('normalizes names before comparing them', () => {
+  assert.equal(normalizeName('  Śrī   Gaṅgānagar (Dist.) '), 'sri ganganagar dist');
+  assert.equal(nameSimilarity('ganganagar', 'ganganagar'), 1);
+  assert.equal(nameSimilarity('kolkata', 'calcutta'), 0.375);
+});
+
+test('parses joins from the command line', () => {
+  assert.deepEqual(parseJoin('prefix:district_code:state_code'), {
+    type: 'prefix',
+    child: 'district_code',
+    parent: 'state_code',
+    threshold: 0.85
+  });
+  assert.deepEqual(parseJoin('name:::0.9'), { type: 'name', child: undefined, parent: undefined, threshold: 0.9 });
+  assert.throws(() => parseJoin('fuzzy:a:b'), /Unknown join type: fuzzy/);
+  assert.throws(() => parseJoin('exact'), /needs a child property/);
+  assert.throws(() => parseJoin('name:::2'), /threshold/);
+});
+
+test('matches exact codes, the longest code prefix and similar names', () => {
+  const parentFeatures = [
+    { type: 'Feature', properties: { shapeID: 'A', shapeName: 'Uttar Pradesh', code: '09' }, geometry: null },
+    { type: 'Feature', properties: { shapeID: 'B', shapeName: 'Uttarakhand', code: '091' }, geometry: null },
+    { type: 'Feature', properties: { shapeID: 'C', shapeName: 'Bihar', code: '10' }, geometry: null },
+    { type: 'Feature', properties: { shapeID: 'D', shapeName: 'Bihar', code: '11' }, geometry: null }
+  ];
+  const child = properties => ({ type: 'Feature', properties, geometry: null });
+  const match = (joinList, properties) => {
+    const found = createAttributeMatcher(parentFeatures, { joins: joinList }).match(child(properties));
+    return found && { id: found.feature.properties.shapeID, join: found.join, score: found.score };
+  };
+
+  assert.deepEqual(match([{ type: 'exact', child: 'state' }], { state: 'C' }), { id: 'C', join: 0, score: 1 });
+  assert.deepEqual(match([{ type: 'exact', child: 'state', parent: 'code' }], { state: 10 }), { id: 'C', join: 0, score: 1 });
+  assert.deepEqual(match([{ type: 'prefix', child: 'code', parent: 'code' }], { code: '09123' }), { id: 'B', join: 0, score: 0.6 });
+  assert.deepEqual(match([{ type: 'prefix', child: 'code', parent: 'code' }], { code: '0921' }), { id: 'A', join: 0, score: 0.5 });
+  assert.deepEqual(match([{ type: 'name', child: 'state_name' }], { state_name: 'Uttar  pradesh' }), { id: 'A', join: 0, score: 1 });
+  assert.equal(match([{ type: 'name', child: 'state_name' }], { state_name: 'Utar Pardesh' }), null);
+  assert.equal(match([{ type: 'name', child: 'state_name', threshold: 0.75 }], { state_name: 'Utar Pardesh' }).id, 'A');
+  // Two parents named Bihar leave the name join undecided, so the code decides
+  assert.deepEqual(match([
+    { type: 'name', child: 'state_name' },
+    { type: 'exact', child: 'state_code', parent: 'code' }
+  ], { state_name: 'Bihar', state_code: '11' }), { id: 'D', join: 1, score: 1 });
+  assert.throws(() => createAttributeMatcher(parentFeatures, { joins: [] }), /at least one join/);
+});
+
+test('attribute mode places children by their codes, falling back to geometry', () => {
+  const withoutCodes = children();
+  delete withoutCodes[3].properties.code; // t1
+  const linked = linkLevel(parents(), withoutCodes, { mode: 'attribute', joins, logger: silent });
+  assert.deepEqual(assignments(linked), {
+    w1: 'W',
+    s1: 'W',
+    s2: 'E',
+    t1: 'E',
+    m1: 'W',
+    i1: 'I',
+    h1: 'L',
+    r1: 'H',
+    x1: 'X',
+    o1: 'I',
+    n1: 'E'
+  });
+  assert.deepEqual(assignments(linked, 'parent_match'), {
+    w1: 'attribute',
+    s1: 'attribute',
+    s2: 'attribute',
+    t1: 'geometry',
+    m1: 'attribute',
+    i1: 'attribute',
+    h1: 'attribute',
+    r1: 'attribute',
+    x1: 'geometry',
+    o1: 'attribute',
+    n1: 'attribute'
+  });
+  assert.equal(linked[3].properties.parent_overlap_ratio, 1);
+  assert.equal(linked[0].properties.parent_overlap_ratio, undefined);
+  assert.equal(linked[10].bbox, undefined);
+});
+
+test('hybrid mode keeps the geometric parent and flags disagreements', () => {
+  const { features, report } = linkParents(parents(), children(), { mode: 'hybrid', joins, report: true });
+  assert.deepEqual(assignments(features), {
+    w1: 'W',
+    s1: 'W',
+    s2: 'E',
+    t1: 'E',
+    m1: 'E',
+    i1: 'I',
+    h1: 'L',
+    r1: 'H',
+    x1: 'X',
+    o1: 'I',
+    n1: 'E'
+  });
+  const conflicts = Object.entries(assignments(features, 'parent_match_conflict')).filter(([, id]) => id !== null);
+  assert.deepEqual(conflicts, [['m1', 'W']]);
+  assert.equal(features[9].properties.parent_match, 'attribute');
+
+  assert.equal(report.totals.matchedByAttribute, 2); // o1, n1
+  assert.equal(report.totals.matchedByGeometry, 9);
+  assert.deepEqual(report.disagreements, [{
+    index: 4,
+    id: 'm1',
+    name: 'Split Parts',
+    geometry: { id: 'E', name: 'East' },
+    attribute: { id: 'W', name: 'West', join: 0 }
+  }]);
+});
+
+test('hybrid mode gives the same result on worker threads', async () => {
+  const sequential = linkParents(parents(), children(), { mode: 'hybrid', joins, report: true });
+  const { features, summary } = linkParentsIterable(parents(), children(), { mode: 'hybrid', joins, report: true, workers: 2 });
+  assert.deepEqual(await collect(features), sequential.features);
+  assert.deepEqual(summary.report, sequential.report);
+});
+
+test('incremental runs relink children whose joined parent changed', async () => {
+  const run = async (parentFeatures, previous) => {
+    const result = linkIncremental(parentFeatures, children(), { mode: 'hybrid', joins, logger: silent, previous });
+    return { features: await collect(result.features), state: result.state, stats: result.stats };
+  };
+  const first = await run(parents());
+  assert.deepEqual(first.stats, { reused: 0, relinked: 11 });
+
+  // I's code no longer prefixes any child. i1 lies in I, and o1 only reached
+  // I through its code, so both are relinked and o1 loses its parent
+  const recoded = parents();
+  recoded[2].properties.code = '09';
+  const second = await run(recoded, first.state);
+  assert.deepEqual(second.stats, { reused: 9, relinked: 2 });
+  assert.deepEqual(second.features, linkLevel(recoded, children(), { mode: 'hybrid', joins, logger: silent }));
+  assert.equal(second.features[9].properties.parent_id, null);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { CheckpointedOutput, skipFeatures } = require('../lib/checkpoint');
+const { LinkReport } = require('../lib/report');
+const { linkLevel } = require('../lib/linker');
+const { readFixture, tmpDir, silent, collect } = require('./helpers');
+
+const feature = i => ({ type: 'Feature', properties: { shapeID: `f${i}` }, geometry: { type: 'Point', coordinates: [i, i] } });
+const ids = file => JSON.parse(fs.readFileSync(file, 'utf8')).features.map(f => f.properties.shapeID);
+
+// Write features `from` to `to`, then stop as a killed run would: flushed
+// but without the end of the collection
+async function interruptedRun(file, from, to, options) {
+  const output = new CheckpointedOutput(file, 'geojson', { every: 2, logger: silent, ...options });
+  for (let i = from; i < to; i++) await output.write(feature(i));
+  await output.writer.close();
+  return output;
+}
+
+test('resumes an interrupted run from its last checkpoint', async t => {
+  const file = path.join(tmpDir(t), 'out.geojson');
+  await interruptedRun(file, 0, 5, { key: 'k', snapshot: () => ({ note: 'progress' }) });
+  assert.equal(fs.existsSync(file), false);
+  assert.deepEqual(JSON.parse(fs.readFileSync(`${file}.checkpoint.json`, 'utf8')).state, { note: 'progress' });
+
+  // f4 came after the last checkpoint and is written again
+  const output = new CheckpointedOutput(file, 'geojson', { every: 2, key: 'k', resume: true, logger: silent });
+  assert.deepEqual(output.state, { note: 'progress' });
+  assert.equal(output.count, 4);
+  for (const i of [4, 5, 6]) await output.write(feature(i));
+  await output.end({ bbox: [0, 0, 6, 6] });
+
+  assert.deepEqual(ids(file), ['f0', 'f1', 'f2', 'f3', 'f4', 'f5', 'f6']);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).bbox, [0, 0, 6, 6]);
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['out.geojson']);
+});
+
+test('starts over without a matching checkpoint', async t => {
+  const file = path.join(tmpDir(t), 'out.csv');
+  await interruptedRun(file, 0, 3, { key: { child: 'a' } });
+  assert.throws(
+    () => new CheckpointedOutput(file, 'csv', { key: { child: 'b' }, resume: true, logger: silent }),
+    /was written for other inputs or options/
+  );
+
+  // Without --resume the checkpoint is dropped and the file written afresh
+  const output = new CheckpointedOutput(file, 'csv', { key: { child: 'b' }, logger: silent });
+  assert.equal(output.state, null);
+  await output.write(feature(9));
+  await output.end();
+  assert.deepEqual(fs.readFileSync(file, 'utf8').trim().split('\n').map(line => line.split(',')[0]), ['id', 'f9']);
+
+  assert.throws(() => new CheckpointedOutput(file, 'flatgeobuf'), /cannot be checkpointed/);
+});
+
+test('carries the linkage report across a resumed run', async t => {
+  const parents = readFixture('adm1.geojson').features;
+  const children = readFixture('adm2.geojson').features;
+  const logFile = path.join(tmpDir(t), 'out.geojson.checkpoint.log');
+  const record = (report, offset = 0) => (child, parent, details) => report.record(child, parent, { ...details, index: details.index + offset });
+  const link = (children, onLink) => linkLevel(parents, children, { mode: 'area', onLink, collectCandidates: true, logger: silent });
+  const whole = new LinkReport({ parentFeatures: parents });
+  link(children, record(whole));
+
+  // Checkpointed after two and four children, then cut off after the fifth
+  // had been logged by a checkpoint never saved
+  const first = new LinkReport({ parentFeatures: parents });
+  link(children.slice(0, 2), record(first));
+  first.snapshot(2, logFile);
+  link(children.slice(2, 4), record(first, 2));
+  const checkpoint = JSON.parse(JSON.stringify(first.snapshot(4, logFile)));
+  link(children.slice(4, 5), record(first, 4));
+  first.snapshot(5, logFile);
+  // Only counts are kept in the checkpoint
+  assert.deepEqual(Object.keys(checkpoint).sort(), ['childCounts', 'log', 'matchedBy', 'total']);
+
+  const resumed = new LinkReport({ parentFeatures: parents });
+  resumed.restore(checkpoint, logFile);
+  assert.equal(fs.statSync(logFile).size, checkpoint.log.bytes);
+  const rest = await collect(skipFeatures(children, 4));
+  link(rest, record(resumed, 4));
+
+  assert.deepEqual(resumed.toJSON(), whole.toJSON());
+});
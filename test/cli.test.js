@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { fixturePath, tmpDir } = require('./helpers');
+
+const bin = path.join(__dirname, '..', 'bin', 'geojson-parent-linker.js');
+
+function cli(...args) {
+  return spawnSync(process.execPath, [bin, ...args], { encoding: 'utf8' });
+}
+
+test('rejects invalid options before writing any output', t => {
+  const out = path.join(tmpDir(t), 'out.geojson');
+  const link = (...args) => cli('link', '--parent', fixturePath('adm1.geojson'), '--child', fixturePath('adm2.geojson'), '--out', out, ...args);
+  const cases = [
+    [['--mode', 'bogus'], /Error: Unknown --mode: bogus/],
+    [['--mode', 'hybrid', '--join', 'exact:code', '--geometry-mode', 'bogus'], /Error: Unknown --geometry-mode: bogus/],
+    [['--level', 'abc'], /Error: Invalid --level: abc/],
+    [['--level', '0'], /Error: Invalid --level: 0/]
+  ];
+  for (const [args, error] of cases) {
+    const result = link(...args);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, error);
+    assert.equal(fs.existsSync(out), false);
+  }
+  assert.equal(link('--level', '2').status, 0);
+  assert.equal(JSON.parse(fs.readFileSync(out, 'utf8')).features.length > 0, true);
+});
+
+test('reports output errors instead of crashing', t => {
+  const out = path.join(tmpDir(t), 'missing', 'out.geojson');
+  const result = cli('link', '--parent', fixturePath('adm1.geojson'), '--child', fixturePath('adm2.geojson'), '--out', out, '--level', '2');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /^Error: ENOENT/m);
+  assert.doesNotMatch(result.stderr, /Unhandled 'error' event/);
+});
+
+test('reports lookup output errors instead of crashing', t => {
+  const dir = tmpDir(t);
+  for (const extension of ['csv', 'ndjson']) {
+    const points = path.join(dir, `points.${extension}`);
+    fs.writeFileSync(points, extension === 'csv' ? 'lon,lat\n1,1\n' : '{"lon":1,"lat":1}\n');
+    const result = cli('lookup', '--points', points, '--out', path.join(dir, 'missing', `out.${extension}`), fixturePath('adm0.geojson'));
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /^Error: ENOENT/m);
+    assert.doesNotMatch(result.stderr, /Unhandled 'error' event/);
+  }
+});
+
+test('reads child ids and names from the given keys', t => {
+  const dir = tmpDir(t);
+  const children = JSON.parse(fs.readFileSync(fixturePath('adm2.geojson'), 'utf8'));
+  children.features = children.features.map(feature => feature.properties.shapeID
+    ? { ...feature, properties: { GID_2: feature.properties.shapeID, NAME_2: feature.properties.shapeName } }
+    : feature);
+  fs.writeFileSync(path.join(dir, 'children.geojson'), JSON.stringify(children));
+  const result = cli('link', '--parent', fixturePath('adm1.geojson'), '--child', path.join(dir, 'children.geojson'),
+    '--out', path.join(dir, 'out.csv'), '--mode', 'area', '--report', path.join(dir, 'report.json'),
+    '--child-id-key', 'GID_2', '--child-name-key', 'NAME_2');
+  assert.equal(result.status, 0);
+  assert.match(fs.readFileSync(path.join(dir, 'out.csv'), 'utf8'), /^w1,Nested,W,West,W$/m);
+  const report = JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8'));
+  assert.deepEqual(report.unmatched, [{ index: 9, id: 'o1', name: 'Offshore' }]);
+});
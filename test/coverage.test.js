@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkCoverage, linkParents } = require('..');
+const { readFixture } = require('./helpers');
+
+const square = (id, x0, y0, x1, y1) => ({
+  type: 'Feature',
+  properties: { shapeID: id, parent_id: 'W' },
+  geometry: { type: 'Polygon', coordinates: [[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]] }
+});
+const west = () => readFixture('adm1.geojson').features.slice(0, 1);
+
+test('a parent tiled by its children is fully covered', () => {
+  const result = checkCoverage(west(), [square('a', 0, 0, 1, 2), square('b', 1, 0, 2, 2)]);
+  assert.equal(result.parents[0].coverage, 1);
+  assert.deepEqual(result.totals, { parents: 1, notCovered: 0, childless: 0, gaps: 0, overlaps: 0, unassigned: 0 });
+});
+
+test('reports gaps, sibling overlaps and spill-over', () => {
+  const result = checkCoverage(west(), [square('a', 0, 0, 1.2, 2), square('b', 1, 0, 2, 1), square('c', 1.5, 1.5, 2.5, 2)]);
+  const [west1] = result.parents;
+  assert.ok(Math.abs(west1.coverage - 0.8625) < 1e-3, west1.coverage);
+  assert.ok(west1.outside > 0);
+  assert.equal(result.gaps.length, 1);
+  assert.deepEqual(result.overlaps.map(overlap => overlap.properties.children), [['a', 'b']]);
+  assert.equal(result.overlaps[0].properties.parent_id, 'W');
+});
+
+test('leaves out slivers below minArea', () => {
+  const result = checkCoverage(west(), [square('a', 0, 0, 1, 2), square('b', 1.0001, 0, 2, 2)], { minArea: 1e7 });
+  assert.equal(result.gaps.length, 0);
+  assert.ok(result.parents[0].coverage < 1);
+});
+
+test('checks linked fixtures', () => {
+  const parents = readFixture('adm1.geojson');
+  const { features } = linkParents(parents, readFixture('adm2.geojson'), { mode: 'area' });
+  const result = checkCoverage(parents, features);
+
+  assert.equal(result.totals.parents, 6);
+  assert.equal(result.totals.unassigned, 1); // o1
+  const byId = Object.fromEntries(result.parents.map(parent => [parent.id, parent]));
+  assert.ok(Math.abs(byId.L.coverage - 0.25) < 1e-3); // h1 covers a quarter of the lake
+  assert.equal(byId.E.children, 3);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLevels } = require('..');
+const { readFixture } = require('./helpers');
+
+const square = (x0, y0, x1, y1) => ({ type: 'Polygon', coordinates: [[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]] });
+const unit = (shapeID, shapeName, geometry, properties = {}) => ({
+  type: 'Feature',
+  properties: { shapeID, shapeName, ...properties },
+  geometry
+});
+
+// The next release of adm1: new ids, West renamed, East split in two, Islands
+// and Lake merged, Ring reshaped and the unnamed unit X gone
+function nextRelease() {
+  return [
+    unit('N-W', 'Western', square(0, 0, 2, 2)),
+    unit('N-E1', 'East North', square(2, 1.5, 4, 2)),
+    unit('N-E2', 'East South', square(2, 0, 4, 1.5)),
+    unit('N-I', 'Islands', readFixture('adm1.geojson').features[2].geometry),
+    unit('N-H', 'Ring', { type: 'Polygon', coordinates: [[[0, 3], [4, 3], [4, 7.5], [0, 7.5], [0, 3]], [[1, 4], [1, 6], [3, 6], [3, 4], [1, 4]]] }),
+    unit('N-L', 'Lake', square(1, 4, 3, 6)),
+    unit('N-Z', 'New', square(10, 10, 11, 11))
+  ];
+}
+
+test('classifies the changes between two releases', () => {
+  const diff = diffLevels(readFixture('adm1.geojson'), nextRelease());
+  const summary = diff.changes.map(change => [change.type, change.old.map(u => u.id), change.new.map(u => u.id)]);
+  assert.deepEqual(summary, [
+    ['renamed', ['W'], ['N-W']],
+    ['split', ['E'], ['N-E1', 'N-E2']],
+    ['unchanged', ['I'], ['N-I']],
+    ['geometry-modified', ['H'], ['N-H']],
+    ['unchanged', ['L'], ['N-L']],
+    ['removed', ['X'], []],
+    ['added', [], ['N-Z']]
+  ]);
+  assert.equal(diff.changes[0].geometryModified, false);
+  assert.deepEqual(diff.changes[1].new.map(u => Math.round(u.share * 100)), [25, 75]);
+  assert.equal(diff.totals.split, 1);
+  assert.equal(diff.totals.old, 6);
+});
+
+test('maps old ids to their successors', () => {
+  const { successors } = diffLevels(readFixture('adm1.geojson'), nextRelease());
+  assert.deepEqual(successors.map(successor => `${successor.old}>${successor.new}`),
+    ['W>N-W', 'E>N-E2', 'I>N-I', 'H>N-H', 'L>N-L']);
+});
+
+test('finds merges', () => {
+  const merged = [unit('WE', 'West and East', square(0, 0, 4, 2))];
+  const diff = diffLevels(readFixture('adm1.geojson').features.slice(0, 2), merged);
+  assert.deepEqual(diff.changes.map(change => change.type), ['merged']);
+  assert.deepEqual(diff.changes[0].old.map(u => [u.id, Math.round(u.share * 100)]), [['W', 50], ['E', 50]]);
+});
+
+test('reports parent reassignments through the parent diff', () => {
+  const parentDiff = diffLevels(readFixture('adm1.geojson'), nextRelease());
+  const child = (id, parentId, parentName) => unit(id, id, square(0.5, 0.5, 1.5, 1.5), { parent_id: parentId, parent_name: parentName });
+
+  // Renamed parent: the same by successor, different by name
+  const renamed = diffLevels([child('w1', 'W', 'West')], [child('w1', 'N-W', 'Western')], { parentDiff });
+  assert.deepEqual(renamed.parentReassignments, []);
+  const byName = diffLevels([child('w1', 'W', 'West')], [child('w1', 'N-W', 'Western')]);
+  assert.equal(byName.parentReassignments.length, 1);
+
+  const moved = diffLevels([child('w1', 'W', 'West')], [child('w1', 'N-E2', 'East South')], { parentDiff });
+  assert.deepEqual(moved.parentReassignments.map(change => [change.old.parent_id, change.new.parent_id]), [['W', 'N-E2']]);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateGeometry, repairGeometry, checkFeature, validateLevel } = require('../lib/geometry');
+const { linkParents } = require('..');
+const { readFixture, assignments, silent, collect } = require('./helpers');
+
+const types = issues => issues.map(issue => issue.type);
+const invalid = () => readFixture('invalid.geojson').features;
+
+test('finds each kind of defect', () => {
+  const [unclosed, bowTie, duplicates, clockwise] = invalid();
+  assert.deepEqual(types(validateGeometry(unclosed.geometry)), ['unclosed-ring']);
+  assert.deepEqual(types(validateGeometry(bowTie.geometry)), ['self-intersection']);
+  assert.deepEqual(types(validateGeometry(duplicates.geometry)), ['duplicate-vertices']);
+  assert.deepEqual(types(validateGeometry(clockwise.geometry)), ['wrong-winding']);
+  assert.deepEqual(types(validateGeometry(null)), ['empty-geometry']);
+  assert.deepEqual(types(validateGeometry({ type: 'Polygon', coordinates: [[[0, 0], [1, 1], [0, 0]]] })),
+    ['degenerate-ring', 'empty-geometry']);
+  assert.deepEqual(types(validateGeometry({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [NaN, 1], [1, 1], [0, 0]]] })),
+    ['invalid-coordinates']);
+});
+
+test('accepts valid polygons, holes and multipolygons', () => {
+  for (const feature of [...readFixture('adm1.geojson').features, ...readFixture('adm2.geojson').features]) {
+    assert.deepEqual(validateGeometry(feature.geometry), [], feature.properties.shapeID || feature.id);
+  }
+});
+
+test('repairs what it finds without touching the input', () => {
+  for (const feature of invalid()) {
+    const before = JSON.stringify(feature.geometry);
+    const repaired = repairGeometry(feature.geometry);
+    assert.equal(JSON.stringify(feature.geometry), before);
+    assert.deepEqual(validateGeometry(repaired), [], feature.properties.shapeID);
+  }
+  const bowTie = repairGeometry(invalid()[1].geometry);
+  assert.equal(bowTie.type, 'MultiPolygon');
+  assert.equal(bowTie.coordinates.length, 2);
+});
+
+test('keeps the original when nothing is left to repair', () => {
+  const feature = { type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 1]]] } };
+  const result = checkFeature(feature, { repair: true });
+  assert.equal(result.feature, feature);
+  assert.deepEqual(result.fixed, []);
+  assert.deepEqual(types(result.remaining), ['unclosed-ring', 'degenerate-ring', 'empty-geometry']);
+});
+
+test('repairing lets defective children link', () => {
+  const parents = readFixture('adm1.geojson');
+  const unrepaired = linkParents(parents, invalid(), { mode: 'area' });
+  assert.equal(assignments(unrepaired.features).b1, null);
+
+  const repaired = linkParents(parents, invalid(), { mode: 'area', repair: true, report: true });
+  assert.deepEqual(assignments(repaired.features), { u1: 'E', b1: 'E', d1: 'W', c1: 'W' });
+  assert.deepEqual(repaired.report.geometryDefects.map(defect => [defect.id, defect.issues, defect.fixed]), [
+    ['u1', ['unclosed-ring'], ['unclosed-ring']],
+    ['b1', ['self-intersection'], ['self-intersection']],
+    ['d1', ['duplicate-vertices'], ['duplicate-vertices']],
+    ['c1', ['wrong-winding'], ['wrong-winding']]
+  ]);
+});
+
+test('validateLevel checks streamed children as they pass', async () => {
+  const reported = [];
+  async function* children() {
+    yield* invalid();
+  }
+  const { parentFeatures, children: checked } = validateLevel(readFixture('adm1.geojson').features, children(), {
+    validate: true,
+    logger: silent,
+    onValidate: (feature, result, { role, index }) => reported.push([role, index, feature.properties.shapeID])
+  });
+  assert.equal(parentFeatures.length, 6);
+  assert.equal(reported.length, 0);
+  await collect(checked);
+  assert.deepEqual(reported, [['child', 0, 'u1'], ['child', 1, 'b1'], ['child', 2, 'd1'], ['child', 3, 'c1']]);
+});
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Shared by the test files: small synthetic levels in test/fixtures
+//
+//   adm0     C, one square containing everything below
+//   adm1     W and E sharing a border, I (two islands), H (a square with a
+//            hole), L (filling the hole) and an unnamed parent with only a
+//            feature id (X)
+//   adm2     children nested in, straddling, touching, split across and
+//            outside those parents
+//   invalid  an unclosed ring, a bow tie, repeated vertices and a clockwise
+//            exterior
+
+const fixturesDir = path.join(__dirname, 'fixtures');
+
+function fixturePath(name) {
+  return path.join(fixturesDir, name);
+}
+
+function readFixture(name) {
+  return JSON.parse(fs.readFileSync(fixturePath(name), 'utf8'));
+}
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geojson-parent-linker-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Child id -> value of `field` (default parent_id)
+function assignments(features, field = 'parent_id') {
+  return Object.fromEntries(features.map(feature => [
+    feature.properties.shapeID || feature.id,
+    feature.properties[field]
+  ]));
+}
+
+const silent = { log() {}, warn() {} };
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+module.exports = { fixturePath, readFixture, tmpDir, assignments, silent, collect };
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { linkIncremental } = require('../lib/incremental');
+const { linkLevel } = require('../lib/linker');
+const { readFixture, silent, collect } = require('./helpers');
+
+async function run(parents, children, options = {}) {
+  const result = linkIncremental(parents, children, { mode: 'area', logger: silent, ...options });
+  const features = await collect(result.features);
+  return { features, state: result.state, stats: result.stats };
+}
+
+const full = (parents, children) => linkLevel(parents, children, { mode: 'area', logger: silent });
+
+test('reuses every child when nothing changed', async () => {
+  const first = await run(readFixture('adm1.geojson').features, readFixture('adm2.geojson').features);
+  assert.deepEqual(first.stats, { reused: 0, relinked: 10 });
+
+  const second = await run(readFixture('adm1.geojson').features, readFixture('adm2.geojson').features, { previous: first.state });
+  assert.deepEqual(second.stats, { reused: 10, relinked: 0 });
+  assert.deepEqual(second.features, first.features);
+});
+
+test('relinks changed children and the children of changed parents', async () => {
+  const { state } = await run(readFixture('adm1.geojson').features, readFixture('adm2.geojson').features);
+
+  const changed = () => {
+    const parents = readFixture('adm1.geojson').features;
+    parents[1].properties.shapeName = 'Far East'; // E
+    const children = readFixture('adm2.geojson').features;
+    children[0].geometry.coordinates[0][2] = [1.6, 1.6]; // w1
+    return [parents, children];
+  };
+  const { features, stats } = await run(...changed(), { previous: state });
+
+  // w1 itself, plus everything whose bbox overlaps E: s1, s2, t1, m1
+  assert.deepEqual(stats, { reused: 5, relinked: 5 });
+  assert.deepEqual(features, full(...changed()));
+  assert.equal(features[2].properties.parent_name, 'Far East');
+});
+
+test('relinks children around a removed parent', async () => {
+  const { state } = await run(readFixture('adm1.geojson').features, readFixture('adm2.geojson').features);
+  const parents = readFixture('adm1.geojson').features.filter(feature => feature.properties.shapeID !== 'L');
+  const { features, stats } = await run(parents, readFixture('adm2.geojson').features, { previous: state });
+
+  assert.equal(stats.relinked, 1);
+  assert.equal(features[6].properties.parent_id, null); // h1, in the hole of H
+});
+
+test('ignores a state written with other options', async () => {
+  const { state } = await run(readFixture('adm1.geojson').features, readFixture('adm2.geojson').features);
+  const { stats } = await run(readFixture('adm1.geojson').features, readFixture('adm2.geojson').features, {
+    previous: state,
+    mode: 'first'
+  });
+  assert.deepEqual(stats, { reused: 0, relinked: 10 });
+});
+
+test('gives the same result on worker threads', async () => {
+  const { state } = await run(readFixture('adm1.geojson').features, readFixture('adm2.geojson').features);
+  const children = readFixture('adm2.geojson').features;
+  children[3].properties.shapeName = 'Renamed'; // t1
+  const sequential = await run(readFixture('adm1.geojson').features, structuredClone(children), { previous: state });
+  const parallel = await run(readFixture('adm1.geojson').features, structuredClone(children), {
+    previous: state,
+    workers: 2,
+    batchSize: 2
+  });
+  assert.deepEqual(parallel.stats, { reused: 9, relinked: 1 });
+  assert.deepEqual(parallel.features, sequential.features);
+});
+
+test('hands reused children back without waiting for the rest of the level', async () => {
+  const { state } = await run(readFixture('adm1.geojson').features, readFixture('adm2.geojson').features);
+  const children = readFixture('adm2.geojson').features;
+  children[3].properties.shapeName = 'Renamed'; // t1
+  let read = 0;
+  async function* source() {
+    for (const child of children) {
+      read++;
+      yield child;
+    }
+  }
+  const result = linkIncremental(readFixture('adm1.geojson').features, source(), {
+    mode: 'area',
+    logger: silent,
+    previous: state,
+    workers: 2,
+    batchSize: 1
+  });
+  // Three reused children fill the pool's share: they are handed back
+  // before the fourth child is read
+  const readBefore = [];
+  const ids = [];
+  for await (const feature of result.features) {
+    readBefore.push(read);
+    ids.push(feature.properties.shapeID || feature.id);
+  }
+  assert.deepEqual(readBefore.slice(0, 3), [3, 3, 3]);
+  assert.deepEqual(ids, children.map(child => child.properties.shapeID || child.id));
+  assert.deepEqual(result.stats, { reused: 9, relinked: 1 });
+});
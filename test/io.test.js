@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createWriter, extensionFor, formatFromFile: outputFormatFromFile } = require('../lib/writers');
+const { readFeatureFile, readAllFeatures, formatFromFile } = require('../lib/readers');
+const { linkParents } = require('..');
+const { readFixture, fixturePath, tmpDir, assignments, collect } = require('./helpers');
+
+function linkedAdm2() {
+  return linkParents(readFixture('adm1.geojson'), readFixture('adm2.geojson'), { mode: 'area' }).features;
+}
+
+async function write(file, format, features, options) {
+  const writer = createWriter(file, format, options);
+  for (const feature of features) await writer.write(feature);
+  await writer.end();
+}
+
+test('picks formats from file extensions', () => {
+  assert.equal(formatFromFile('a.geojson'), 'geojson');
+  assert.equal(formatFromFile('a.jsonl'), 'ndjson');
+  assert.equal(formatFromFile('a.shp'), 'shapefile');
+  assert.equal(formatFromFile('a.zip'), 'shapefile');
+  assert.equal(formatFromFile('a.fgb'), 'flatgeobuf');
+  assert.equal(outputFormatFromFile('a.geojsons'), 'geojsonseq');
+  assert.equal(outputFormatFromFile('a.csv'), 'csv');
+  assert.equal(outputFormatFromFile('a.json'), 'geojson');
+});
+
+for (const format of ['geojson', 'ndjson', 'geojsonseq']) {
+  test(`${format} output reads back unchanged`, async t => {
+    const file = path.join(tmpDir(t), `adm2.${extensionFor(format)}`);
+    const features = linkedAdm2();
+    await write(file, format, features);
+    // Undefined properties (the name of an unnamed parent) are dropped, as in any JSON
+    assert.deepEqual(await readAllFeatures(file), JSON.parse(JSON.stringify(features)));
+  });
+}
+
+test('topojson and flatgeobuf output read back with the same links', async t => {
+  const dir = tmpDir(t);
+  const features = linkedAdm2();
+  await write(path.join(dir, 'adm2.topojson'), 'topojson', features);
+  await write(path.join(dir, 'adm2.fgb'), 'flatgeobuf', features);
+
+  const topo = await readAllFeatures(path.join(dir, 'adm2.topojson'));
+  assert.deepEqual(assignments(topo), assignments(features));
+
+  const fgb = await readAllFeatures(path.join(dir, 'adm2.fgb'));
+  assert.equal(fgb.length, features.length);
+  const byId = Object.fromEntries(fgb.map(feature => [feature.properties.shapeID || feature.properties.id, feature]));
+  assert.equal(byId.s2.properties.parent_id, 'E');
+  assert.deepEqual(byId.m1.geometry, features.find(feature => feature.properties.shapeID === 'm1').geometry);
+});
+
+test('flatgeobuf widens mixed-type columns and counts features without geometry', async t => {
+  const file = path.join(tmpDir(t), 'mixed.fgb');
+  const point = (properties, coordinates) => ({ type: 'Feature', properties, geometry: coordinates && { type: 'Point', coordinates } });
+  const warnings = [];
+  await write(file, 'flatgeobuf', [
+    point({ code: 12, flag: true, extra: null }, [0, 0]),
+    point({ code: '12A', flag: 1, extra: { a: 1 } }, [1, 1]),
+    point({ code: 7, flag: false, extra: 'x' }, [2, 2]),
+    point({ code: 8 }, null)
+  ], { logger: { warn: message => warnings.push(message) } });
+
+  const features = await readAllFeatures(file);
+  assert.deepEqual(features.map(feature => feature.properties.code), ['12', '12A', '7']);
+  assert.deepEqual(features.map(feature => feature.properties.flag), ['true', '1', 'false']);
+  assert.deepEqual(features.map(feature => feature.properties.extra), [undefined, { a: 1 }, 'x']);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /1 feature\(s\) without geometry left out/);
+});
+
+test('csv output is a lookup table', async t => {
+  const file = path.join(tmpDir(t), 'adm2.csv');
+  await write(file, 'csv', linkedAdm2().slice(0, 2));
+  assert.equal(fs.readFileSync(file, 'utf8'), [
+    'id,name,parent_id,parent_name,ancestor_ids',
+    'w1,Nested,W,West,W',
+    's1,Mostly West,W,West,W',
+    ''
+  ].join('\n'));
+});
+
+test('fails cleanly when the output cannot be written', async t => {
+  const missing = path.join(tmpDir(t), 'missing');
+  for (const format of ['geojson', 'ndjson', 'geojsonseq', 'csv', 'table']) {
+    const file = path.join(missing, `adm2.${extensionFor(format)}`);
+    await assert.rejects(write(file, format, linkedAdm2()), { code: 'ENOENT' });
+    // Also with more output than one flush
+    await assert.rejects(write(file, format, Array(200).fill(linkedAdm2()).flat(), { bufferSize: 1024 }), { code: 'ENOENT' });
+  }
+});
+
+test('reads shapefiles, reprojecting to WGS84', async () => {
+  const features = await readAllFeatures(fixturePath('adm1_3857.shp'));
+  assert.deepEqual(features.map(feature => feature.properties.shapeID), ['W', 'E', 'I', 'H']);
+  assert.equal(features[2].geometry.type, 'MultiPolygon');
+  assert.equal(features[3].geometry.coordinates.length, 2);
+  const [minX, minY, maxX, maxY] = features[1].geometry.bbox;
+  for (const [actual, expected] of [[minX, 2], [minY, 0], [maxX, 4], [maxY, 2]]) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+  }
+});
+
+test('streams features one at a time', async () => {
+  const ids = [];
+  for await (const feature of readFeatureFile(fixturePath('adm2.geojson'))) ids.push(feature.properties.shapeID || feature.id);
+  assert.equal(ids.length, 10);
+  assert.deepEqual(await collect(readFeatureFile(fixturePath('adm0.geojson'))), readFixture('adm0.geojson').features);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { linkLevel } = require('../lib/linker');
+const { splitFeature } = require('../lib/lines');
+const { getDimension } = require('../lib/features');
+const { linkParents, linkParentsIterable } = require('..');
+const { readFixture, assignments, silent, collect } = require('./helpers');
+
+// Point, line and mixed children of the adm1 fixtures (W 0-2 and E 2-4 side
+// by side, H 0,3-4,7 around the hole filled by L)
+const feature = (shapeID, geometry) => ({ type: 'Feature', properties: { shapeID }, geometry });
+const point = coordinates => ({ type: 'Point', coordinates });
+const line = coordinates => ({ type: 'LineString', coordinates });
+
+function children() {
+  return [
+    feature('p1', point([1, 1])),
+    feature('p2', point([2, 1])), // on the W/E border
+    feature('p3', { type: 'MultiPoint', coordinates: [[1, 1], [3, 1], [3.5, 1.5]] }),
+    feature('p4', point([2, 5])), // in the hole of H
+    feature('p5', point([10, 10])),
+    feature('l1', line([[0.5, 1], [3, 1]])),
+    feature('l2', line([[1, 1], [3.8, 1]])),
+    feature('l3', line([[2, 1], [3, 1]])), // ends on the W/E border
+    feature('l4', line([[0.5, 5], [3.5, 5]])), // across the hole of H
+    feature('g1', {
+      type: 'GeometryCollection',
+      geometries: [point([1, 1]), { type: 'Polygon', coordinates: [[[2.2, 0.2], [2.8, 0.2], [2.8, 0.8], [2.2, 0.8], [2.2, 0.2]]] }]
+    }),
+    feature('g2', { type: 'GeometryCollection', geometries: [point([1, 1]), line([[2.5, 1], [3.5, 1]])] })
+  ];
+}
+
+const parents = () => readFixture('adm1.geojson').features;
+const link = mode => linkLevel(parents(), children(), { mode, logger: silent });
+
+test('measures a GeometryCollection by its highest dimension', () => {
+  assert.deepEqual(children().map(getDimension), [
+    'point', 'point', 'point', 'point', 'point', 'line', 'line', 'line', 'line', 'polygon', 'line'
+  ]);
+  assert.equal(getDimension(feature('n1', null)), null);
+});
+
+test('first mode links points inside and lines running through a parent', () => {
+  assert.deepEqual(assignments(link('first')), {
+    p1: 'W',
+    p2: 'W',
+    p3: 'W',
+    p4: 'L',
+    p5: null,
+    l1: 'W',
+    l2: 'W',
+    l3: 'E', // touches W only at its end
+    l4: 'H',
+    g1: 'E',
+    g2: 'E'
+  });
+});
+
+test('area mode links by share of points and of length', () => {
+  const linked = link('area');
+  assert.deepEqual(assignments(linked), {
+    p1: 'W',
+    p2: 'W',
+    p3: 'E',
+    p4: 'L',
+    p5: null,
+    l1: 'W',
+    l2: 'E',
+    l3: 'E',
+    l4: 'L',
+    g1: 'E',
+    g2: 'E'
+  });
+  assert.deepEqual(assignments(linked, 'parent_overlap_ratio'), {
+    p1: 1,
+    p2: 1,
+    p3: 0.666667,
+    p4: 1,
+    p5: 0,
+    l1: 0.6,
+    l2: 0.642857,
+    l3: 1,
+    l4: 0.666667,
+    g1: 1,
+    g2: 1
+  });
+});
+
+test('cuts lines at parent boundaries', () => {
+  const linked = linkParents(parents(), children(), { mode: 'area', splitLines: true }).features;
+  const pieces = linked.filter(child => child.properties.split_part);
+  assert.deepEqual(pieces.map(piece => [piece.properties.shapeID, piece.properties.split_part, piece.properties.parent_id]), [
+    ['l1', 1, 'W'],
+    ['l1', 2, 'E'],
+    ['l2', 1, 'W'],
+    ['l2', 2, 'E'],
+    ['l4', 1, 'H'],
+    ['l4', 2, 'L']
+  ]);
+  // Both ends of l4 lie in H, so its piece there is a MultiLineString
+  assert.equal(pieces[4].geometry.type, 'MultiLineString');
+  assert.deepEqual(pieces.map(piece => piece.properties.parent_overlap_ratio), [1, 1, 1, 1, 1, 1]);
+  // l3 lies in E alone and is not cut; points are never cut
+  assert.equal(linked.length, children().length + 3);
+  assert.equal(linked.find(child => child.properties.shapeID === 'l3').properties.split_part, undefined);
+});
+
+test('keeps the part of a line outside every parent as a piece of its own', () => {
+  const [inside, outside] = splitFeature(feature('l5', line([[3, 1], [5, 1]])), {
+    search: () => [{ polygons: [parents()[1]] }]
+  });
+  assert.deepEqual(inside.geometry.coordinates, [[3, 1], [4, 1]]);
+  assert.deepEqual(outside.geometry.coordinates, [[4, 1], [5, 1]]);
+  assert.equal(outside.properties.split_part, 2);
+});
+
+test('cuts lines the same way on worker threads', async () => {
+  const sequential = linkParents(parents(), children(), { mode: 'area', splitLines: true });
+  const { features } = linkParentsIterable(parents(), children(), { mode: 'area', splitLines: true, workers: 2 });
+  assert.deepEqual(await collect(features), sequential.features);
+});
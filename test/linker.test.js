@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLinker, linkLevel, linkStream } = require('../lib/linker');
+const { linkParents } = require('..');
+const { readFixture, assignments, silent, collect } = require('./helpers');
+
+function link(options) {
+  const parents = readFixture('adm1.geojson').features;
+  const children = readFixture('adm2.geojson').features;
+  return linkLevel(parents, children, { logger: silent, ...options });
+}
+
+test('first mode takes the first parent touching the child', () => {
+  assert.deepEqual(assignments(link({ mode: 'first' })), {
+    w1: 'W',
+    s1: 'W',
+    s2: 'W',
+    t1: 'W', // only shares a border with W, but W comes first
+    m1: 'W',
+    i1: 'I',
+    h1: 'L', // inside the hole of H
+    r1: 'H',
+    x1: 'X',
+    o1: null
+  });
+});
+
+test('area mode takes the parent covering most of the child', () => {
+  const linked = link({ mode: 'area' });
+  assert.deepEqual(assignments(linked), {
+    w1: 'W',
+    s1: 'W',
+    s2: 'E',
+    t1: 'E',
+    m1: 'E',
+    i1: 'I',
+    h1: 'L',
+    r1: 'H',
+    x1: 'X',
+    o1: null
+  });
+  assert.deepEqual(assignments(linked, 'parent_overlap_ratio'), {
+    w1: 1,
+    s1: 0.714286,
+    s2: 0.833333,
+    t1: 1,
+    m1: 0.640006,
+    i1: 1,
+    h1: 1,
+    r1: 1,
+    x1: 1,
+    o1: 0
+  });
+});
+
+test('writes parent names and ancestors, and clears them for orphans', () => {
+  const parents = readFixture('adm1.geojson').features;
+  parents[0].properties.ancestors = [{ level: 0, shapeID: 'C', shapeName: 'Country' }];
+  const [nested, orphan] = linkLevel(parents, [
+    readFixture('adm2.geojson').features[0],
+    readFixture('adm2.geojson').features[9]
+  ], { level: 2, logger: silent });
+
+  assert.equal(nested.properties.parent_name, 'West');
+  assert.deepEqual(nested.properties.ancestors, [
+    { level: 0, shapeID: 'C', shapeName: 'Country' },
+    { level: 1, shapeID: 'W', shapeName: 'West' }
+  ]);
+  assert.deepEqual(nested.bbox, [0.5, 0.5, 1.5, 1.5]);
+  assert.equal(orphan.properties.parent_id, null);
+  assert.equal(orphan.properties.parent_name, null);
+  assert.deepEqual(orphan.properties.ancestors, []);
+});
+
+test('falls back to the feature id for parents without properties', () => {
+  const x1 = link({ mode: 'area' }).find(feature => feature.id === 'x1');
+  assert.equal(x1.properties.parent_id, 'X');
+  assert.equal(x1.properties.parent_name, undefined);
+
+  // "properties": null is valid GeoJSON (RFC 7946 3.2)
+  const nullProperties = features => features.map(feature => feature.id ? { ...feature, properties: null } : feature);
+  const { features, report } = linkParents(
+    nullProperties(readFixture('adm1.geojson').features),
+    nullProperties(readFixture('adm2.geojson').features),
+    { mode: 'area', report: true, logger: silent }
+  );
+  const linked = features.find(feature => feature.id === 'x1');
+  assert.equal(linked.properties.parent_id, 'X');
+  assert.deepEqual(linked.properties.ancestors, [{ level: 0, shapeID: 'X', shapeName: undefined }]);
+  assert.equal(report.totals.children, features.length);
+});
+
+test('reads and writes custom property keys', () => {
+  const parents = readFixture('adm1.geojson').features.map(feature => ({
+    ...feature,
+    properties: { GID_1: feature.properties.shapeID, NAME_1: feature.properties.shapeName }
+  }));
+  const [child] = linkLevel(parents, [readFixture('adm2.geojson').features[0]], {
+    parentIdKey: 'GID_1',
+    parentNameKey: 'NAME_1',
+    idField: 'gid_1',
+    nameField: 'name_1',
+    logger: silent
+  });
+  assert.equal(child.properties.gid_1, 'W');
+  assert.equal(child.properties.name_1, 'West');
+  assert.equal(child.properties.parent_id, undefined);
+});
+
+test('reports every link, with candidates when asked', () => {
+  const parents = readFixture('adm1.geojson').features;
+  const calls = [];
+  const linkFeature = createLinker(parents, {
+    collectCandidates: true,
+    logger: silent,
+    onLink: (child, parent, details) => calls.push({ child: child.properties.shapeID, parent, details })
+  });
+  const children = readFixture('adm2.geojson').features;
+  linkFeature(children[1], 1);
+  linkFeature(children[9], 9);
+
+  assert.equal(calls[0].parent.properties.shapeID, 'W');
+  assert.equal(calls[0].details.index, 1);
+  assert.deepEqual(calls[0].details.candidates.map(candidate => candidate.feature.properties.shapeID), ['W', 'E']);
+  assert.equal(calls[1].parent, null);
+});
+
+test('warns about children without a parent', () => {
+  const warnings = [];
+  link({ logger: { log() {}, warn: (...args) => warnings.push(args.join(' ')) } });
+  assert.deepEqual(warnings, ['No parent found for ADM1 feature 10: o1']);
+});
+
+test('rejects unknown modes', () => {
+  assert.throws(() => createLinker([], { mode: 'nearest' }), /Unknown matching mode: nearest/);
+});
+
+test('linkStream yields children in input order', async () => {
+  const parents = readFixture('adm1.geojson').features;
+  const linked = await collect(linkStream(parents, readFixture('adm2.geojson').features, { mode: 'area', logger: silent }));
+  assert.deepEqual(linked.map(feature => feature.properties.shapeID || feature.id),
+    ['w1', 's1', 's2', 't1', 'm1', 'i1', 'h1', 'r1', 'x1', 'o1']);
+});
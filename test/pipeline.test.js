@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { runPipeline } = require('..');
+const { fixturePath, tmpDir, assignments, silent } = require('./helpers');
+
+function writeDefinition(dir, extra = {}) {
+  const file = path.join(dir, 'pipeline.json');
+  fs.writeFileSync(file, JSON.stringify({
+    name: 'TEST',
+    outDir: 'out',
+    mode: 'area',
+    format: ['geojson', 'csv'],
+    levels: ['adm0', 'adm1', 'adm2'].map(name => ({ name: name.toUpperCase(), path: fixturePath(`${name}.geojson`) })),
+    ...extra
+  }));
+  return file;
+}
+
+const readOutput = (dir, name) => JSON.parse(fs.readFileSync(path.join(dir, 'out', name), 'utf8')).features;
+
+test('links every level and skips unchanged ones on the next run', async t => {
+  const dir = tmpDir(t);
+  const file = writeDefinition(dir);
+
+  const first = await runPipeline(file, { logger: silent });
+  assert.deepEqual(first.steps.map(step => step.skipped), [false, false]);
+  assert.deepEqual(first.steps[1].outputs.map(output => path.basename(output)),
+    ['adm2_with_parent.geojson', 'adm2_with_parent.csv']);
+  const adm2 = readOutput(dir, 'adm2_with_parent.geojson');
+  assert.equal(assignments(adm2).t1, 'E');
+  assert.deepEqual(adm2[0].properties.ancestors.map(ancestor => ancestor.shapeID), ['C', 'W']);
+
+  const second = await runPipeline(file, { logger: silent });
+  assert.deepEqual(second.steps.map(step => step.skipped), [true, true]);
+
+  const forced = await runPipeline(file, { logger: silent, force: true });
+  assert.deepEqual(forced.steps.map(step => step.skipped), [false, false]);
+});
+
+test('relinks levels below a changed option', async t => {
+  const dir = tmpDir(t);
+  await runPipeline(writeDefinition(dir), { logger: silent });
+  const { steps } = await runPipeline(writeDefinition(dir, { mode: 'first' }), { logger: silent });
+  assert.deepEqual(steps.map(step => step.skipped), [false, false]);
+  assert.equal(assignments(readOutput(dir, 'adm2_with_parent.geojson')).t1, 'W');
+});
+
+test('refuses to download with --offline', async t => {
+  const dir = tmpDir(t);
+  const file = path.join(dir, 'pipeline.json');
+  fs.writeFileSync(file, JSON.stringify({
+    levels: [{ path: fixturePath('adm0.geojson') }, { url: 'https://example.invalid/adm1.geojson' }]
+  }));
+  await assert.rejects(runPipeline(file, { logger: silent, offline: true, cacheDir: path.join(dir, 'cache') }),
+    /is not in the cache .* --offline is set/);
+});
+
+test('writes a report per level when asked', async t => {
+  const dir = tmpDir(t);
+  await runPipeline(writeDefinition(dir, { report: true }), { logger: silent });
+  const report = JSON.parse(fs.readFileSync(path.join(dir, 'out', 'adm2_report.json'), 'utf8'));
+  assert.equal(report.level, 2);
+  assert.deepEqual(report.unmatched.map(child => child.id), ['o1']);
+  assert.ok(fs.existsSync(path.join(dir, 'out', 'adm2_report.txt')));
+});
+
+test('reads YAML definitions and resolves command-line directories against the current directory', async t => {
+  const dir = tmpDir(t);
+  fs.mkdirSync(path.join(dir, 'pipelines'));
+  const file = path.join(dir, 'pipelines', 'test.yaml');
+  fs.writeFileSync(file, [
+    'name: TEST',
+    'outDir: out',
+    'mode: area',
+    'levels:',
+    ...['adm0', 'adm1', 'adm2'].map(name => `  - { name: ${name.toUpperCase()}, path: ${JSON.stringify(fixturePath(`${name}.geojson`))} }`)
+  ].join('\n'));
+
+  const { outDir } = await runPipeline(file, { logger: silent });
+  assert.equal(outDir, path.join(dir, 'pipelines', 'out'));
+  assert.equal(assignments(JSON.parse(fs.readFileSync(path.join(outDir, 'adm2_with_parent.geojson'), 'utf8')).features).t1, 'E');
+
+  const cwd = process.cwd();
+  process.chdir(dir);
+  t.after(() => process.chdir(cwd));
+  const messages = [];
+  const logger = { log: message => messages.push(message), warn() {} };
+  const cli = await runPipeline(file, { logger, outDir: 'cli-out', cacheDir: './cache', fetchOnly: true });
+  assert.equal(cli.outDir, path.join(process.cwd(), 'cli-out'));
+  assert.match(messages.pop(), new RegExp(`available in ${path.join(process.cwd(), 'cache')}$`));
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { compileSchema, runPipeline } = require('..');
+const { fixturePath, tmpDir, silent } = require('./helpers');
+
+const linked = properties => ({
+  type: 'Feature',
+  properties: {
+    ancestors: [{ level: 0, shapeID: 'C', shapeName: 'Country' }, { level: 1, shapeID: 'W', shapeName: 'West' }],
+    parent_id: 'W',
+    parent_name: 'West',
+    ...properties
+  },
+  geometry: { type: 'Point', coordinates: [1, 1] }
+});
+
+test('keeps, renames and adds ancestor fields', () => {
+  const shape = compileSchema({
+    keep: ['shapeID', 'shapeName', 'shapeISO', 'shapeGroup', 'parent_id'],
+    rename: { shapeID: 'id', shapeName: 'name' },
+    ancestors: { 0: ['id'], 1: ['id', 'name'], 2: ['id'] }
+  });
+  const feature = linked({ shapeID: 'w1', shapeName: '', shapeISO: 'IN-XX', population: 0 });
+  const shaped = shape(feature);
+  assert.deepEqual(shaped.properties, {
+    id: 'w1',
+    name: '', // falsy values are kept
+    shapeISO: 'IN-XX',
+    shapeGroup: null, // kept but missing
+    parent_id: 'W',
+    adm0_id: 'C',
+    adm1_id: 'W',
+    adm1_name: 'West',
+    adm2_id: null
+  });
+  assert.deepEqual(shaped.geometry, feature.geometry);
+  assert.equal(feature.properties.shapeID, 'w1');
+});
+
+test('converts types and fills in defaults', () => {
+  const shape = compileSchema({
+    drop: ['ancestors'],
+    ancestorPrefix: 'level',
+    ancestors: { 1: ['name'] },
+    types: { population: 'integer', code: 'string', coastal: 'boolean', area: 'number' },
+    defaults: { population: -1, status: 'unknown', area: null }
+  });
+  const properties = feature => shape(linked(feature)).properties;
+  assert.deepEqual(properties({ population: '1200', code: 7, coastal: 'false', area: '' }), {
+    parent_id: 'W',
+    parent_name: 'West',
+    population: 1200,
+    code: '7',
+    coastal: false,
+    area: null,
+    level1_name: 'West',
+    status: 'unknown'
+  });
+  // Values that cannot be converted take the default
+  assert.equal(properties({ population: '12.5' }).population, -1);
+  assert.equal(properties({ population: 0, status: '' }).status, '');
+});
+
+test('rejects invalid schemas', () => {
+  const cases = [
+    [[], /expected an object/],
+    [{ keeps: [] }, /unknown key "keeps"/],
+    [{ keep: 'shapeID' }, /"keep" must be "\*" or a list/],
+    [{ ancestors: { one: ['id'] } }, /ancestor level "one"/],
+    [{ ancestors: { 1: ['iso'] } }, /ancestor fields of level 1/],
+    [{ types: { population: 'float' } }, /unknown type "float"/],
+    [{ types: { population: 'integer' }, defaults: { population: 'none' } }, /default "none" for population is not of type integer/]
+  ];
+  for (const [schema, error] of cases) assert.throws(() => compileSchema(schema), error);
+});
+
+test('shapes pipeline outputs without changing the links below them', async t => {
+  const dir = tmpDir(t);
+  const file = path.join(dir, 'pipeline.json');
+  fs.writeFileSync(path.join(dir, 'schema.json'), JSON.stringify({ keep: ['shapeID'], ancestors: { 1: ['id'] } }));
+  fs.writeFileSync(file, JSON.stringify({
+    outDir: 'out',
+    mode: 'area',
+    format: ['geojson', 'csv'],
+    schema: 'schema.json',
+    levels: ['adm0', 'adm1', 'adm2'].map(name => ({ name: name.toUpperCase(), path: fixturePath(`${name}.geojson`) }))
+  }));
+  const read = name => JSON.parse(fs.readFileSync(path.join(dir, 'out', name), 'utf8')).features;
+
+  await runPipeline(file, { logger: silent });
+  assert.deepEqual(read('adm1_with_parent.geojson')[0].properties, { shapeID: 'W', adm1_id: null });
+  assert.deepEqual(read('adm2_with_parent.geojson').slice(0, 3).map(feature => feature.properties), [
+    { shapeID: 'w1', adm1_id: 'W' },
+    { shapeID: 's1', adm1_id: 'W' },
+    { shapeID: 's2', adm1_id: 'E' }
+  ]);
+  // Lookup tables keep their own columns
+  assert.equal(fs.readFileSync(path.join(dir, 'out', 'adm2_with_parent.csv'), 'utf8').split('\n')[1], 'w1,Nested,W,West,C;W');
+  // Shaped outputs are not reloaded as parents, so ADM1 is linked again
+  const { steps } = await runPipeline(file, { logger: silent });
+  assert.deepEqual(steps.map(step => step.skipped), [false, true]);
+});
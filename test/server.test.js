@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { linkHierarchy, createLookupServer } = require('..');
+const { readFixture } = require('./helpers');
+
+function linkedFixtures() {
+  return linkHierarchy(['adm0', 'adm1', 'adm2'].map(name => readFixture(`${name}.geojson`)), { mode: 'area' }).levels;
+}
+
+async function startServer(t, options = {}, levels = linkedFixtures()) {
+  const server = createLookupServer(levels, options);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return async (path, init) => {
+    const res = await fetch(base + path, init);
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  };
+}
+
+const ids = collection => collection.features.map(feature => feature.properties.shapeID || feature.id);
+
+test('looks up the units containing a point', async t => {
+  const get = await startServer(t);
+  const { status, headers, body } = await get('/lookup?lon=1&lat=1');
+  assert.equal(status, 200);
+  assert.equal(headers.get('content-type'), 'application/geo+json');
+  assert.equal(body.type, 'FeatureCollection');
+  assert.deepEqual(ids(body), ['C', 'W', 'w1']);
+
+  // In a gap of ADM2 the deepest level containing the point answers
+  assert.deepEqual((await get('/lookup?lon=0.2&lat=0.2&format=ids')).body, [
+    { level: 0, shapeID: 'C', shapeName: 'Country', parent_id: null },
+    { level: 1, shapeID: 'W', shapeName: 'West', parent_id: 'C' }
+  ]);
+  assert.deepEqual((await get('/lookup?lon=50&lat=50')).body, { type: 'FeatureCollection', features: [] });
+});
+
+test('serves units with their children and ancestors', async t => {
+  const get = await startServer(t);
+  const unit = await get('/units/s2');
+  assert.equal(unit.body.type, 'Feature');
+  assert.equal(unit.body.properties.parent_id, 'E');
+
+  assert.deepEqual(ids((await get('/units/E/children')).body), ['s2', 't1', 'm1']);
+  assert.deepEqual(ids((await get('/units/s2/ancestors')).body), ['C', 'E']);
+  // Units known only by their feature id, without a name
+  assert.deepEqual((await get('/units/X/children?format=ids')).body, [{ level: 2, shapeID: 'x1', parent_id: 'X' }]);
+  assert.deepEqual((await get('/units/C?format=ids')).body, { level: 0, shapeID: 'C', shapeName: 'Country', parent_id: null });
+  assert.deepEqual((await get('/units/C/ancestors?format=ids')).body, []);
+});
+
+test('answers bad requests with JSON errors', async t => {
+  const get = await startServer(t, { cors: '*' });
+  const cases = [
+    ['/units/nope', 404, 'Unknown unit: nope'],
+    ['/elsewhere', 404, 'No route for /elsewhere'],
+    ['/lookup?lon=1', 400, 'lat must be a number between -90 and 90'],
+    ['/lookup?lon=abc&lat=1', 400, 'lon must be a number between -180 and 180'],
+    ['/units/W?format=kml', 400, 'Unknown format: kml (expected geojson or ids)'],
+    ['/units/%E0%A4%A', 400, 'Malformed unit id: %E0%A4%A']
+  ];
+  for (const [path, status, error] of cases) {
+    const res = await get(path);
+    assert.equal(res.status, status, path);
+    assert.deepEqual(res.body, { error }, path);
+    assert.equal(res.headers.get('access-control-allow-origin'), '*');
+  }
+  const post = await get('/lookup?lon=1&lat=1', { method: 'POST' });
+  assert.equal(post.status, 405);
+  assert.equal(post.headers.get('allow'), 'GET');
+});
+
+test('serves units with numeric feature ids', async t => {
+  const square = (id, size, properties = {}) => ({
+    type: 'Feature',
+    id,
+    properties,
+    geometry: { type: 'Polygon', coordinates: [[[0, 0], [size, 0], [size, size], [0, size], [0, 0]]] }
+  });
+  const get = await startServer(t, {}, [[square(1, 4)], [square(12, 2, { parent_id: 1 })]]);
+  const unit = await get('/units/12');
+  assert.equal(unit.status, 200);
+  assert.equal(unit.body.id, 12);
+  assert.deepEqual((await get('/units/12/ancestors?format=ids')).body.map(entry => entry.shapeID), [1]);
+  assert.deepEqual((await get('/units/1/children')).body.features.map(feature => feature.id), [12]);
+});
+
+test('looks up points past the point and line units of a level', async t => {
+  const adm0 = readFixture('adm0.geojson').features;
+  const places = [
+    { type: 'Feature', properties: { shapeID: 'p1', parent_id: 'C' }, geometry: { type: 'Point', coordinates: [1, 1] } },
+    { type: 'Feature', properties: { shapeID: 'l1', parent_id: 'C' }, geometry: { type: 'LineString', coordinates: [[0, 0], [2, 2]] } }
+  ];
+  const get = await startServer(t, {}, [adm0, places]);
+  const { status, body } = await get('/lookup?lon=1&lat=1&format=ids');
+  assert.equal(status, 200);
+  assert.deepEqual(body.map(unit => unit.shapeID), ['C']);
+  assert.equal((await get('/units/p1')).status, 200);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { simplifyLine, simplifyFeatures, roundGeometry, shrinkFeatures } = require('../lib/simplify');
+const { sizedOutputs, parseVariant } = require('../lib/output');
+const { runPipeline } = require('..');
+const { fixturePath, tmpDir, assignments, silent } = require('./helpers');
+
+const polygon = (shapeID, ring) => ({
+  type: 'Feature',
+  properties: { shapeID },
+  bbox: [0, 0, 0, 0],
+  geometry: { type: 'Polygon', coordinates: [ring] }
+});
+
+// Two squares sharing a wiggly border along x = 1, and a small island
+const border = [[1, 0], [1.01, 0.25], [0.99, 0.5], [1.005, 0.75], [1, 1]];
+function features() {
+  return [
+    polygon('a', [[0, 0], ...border, [0, 1], [0, 0]]),
+    polygon('b', [[2, 0], [2, 1], ...[...border].reverse(), [2, 0]]),
+    polygon('c', [[5, 5], [5.001, 5], [5.001, 5.001], [5, 5.001], [5, 5]])
+  ];
+}
+
+test('simplifies lines with Douglas-Peucker', () => {
+  assert.deepEqual(simplifyLine(border, 0.02), [[1, 0], [1, 1]]);
+  assert.deepEqual(simplifyLine(border, 0), border);
+  assert.deepEqual(simplifyLine([[0, 0], [1, 0.5], [2, 0]], 0.6), [[0, 0], [2, 0]]);
+});
+
+test('simplifies shared borders once for both neighbours', () => {
+  const input = features();
+  const [a, b, c] = simplifyFeatures(input, 0.02);
+  // Rings start at a junction of the topology
+  assert.deepEqual(a.geometry.coordinates, [[[1, 0], [1, 1], [0, 1], [0, 0], [1, 0]]]);
+  assert.deepEqual(b.geometry.coordinates, [[[1, 1], [1, 0], [2, 0], [2, 1], [1, 1]]]);
+  // The island would collapse at this tolerance and is kept as it is
+  assert.equal(c.geometry.coordinates[0].length, 5);
+  assert.deepEqual(a.bbox, [0, 0, 1, 1]);
+  assert.deepEqual(input, features());
+});
+
+test('rounds coordinates and drops the positions rounding repeats', () => {
+  const line = { type: 'LineString', coordinates: [[0.123456, 1], [0.123457, 1], [0.2, 1.000004]] };
+  assert.deepEqual(roundGeometry(line, 4).coordinates, [[0.1235, 1], [0.2, 1]]);
+  // A ring too small for the precision keeps its positions
+  assert.deepEqual(roundGeometry(features()[2].geometry, 2).coordinates[0], [[5, 5], [5, 5], [5, 5], [5, 5], [5, 5]]);
+  const [shrunk] = shrinkFeatures([features()[0]], { precision: 1, bbox: false });
+  assert.equal(shrunk.bbox, undefined);
+  assert.deepEqual(shrunk.geometry.coordinates[0], [[0, 0], [1, 0], [1, 0.3], [1, 0.5], [1, 0.8], [1, 1], [0, 1], [0, 0]]);
+});
+
+test('adds a file per variant to every output with geometry', () => {
+  const outputs = sizedOutputs([
+    { file: 'out/adm2.geojson', format: 'geojson' },
+    { file: 'out/adm2.csv', format: 'csv' }
+  ], { precision: 6, variants: [parseVariant('z4:0.05:3'), parseVariant('z8:0.005')] });
+  assert.deepEqual(outputs.map(output => [output.file, output.size]), [
+    ['out/adm2.geojson', { simplify: undefined, precision: 6, bbox: true }],
+    ['out/adm2.z4.geojson', { simplify: 0.05, precision: 3, bbox: true }],
+    ['out/adm2.z8.geojson', { simplify: 0.005, precision: undefined, bbox: true }],
+    ['out/adm2.csv', { simplify: undefined, precision: 6, bbox: true }]
+  ]);
+  assert.throws(() => parseVariant('z4'), /expected <name>:<tolerance>/);
+  assert.throws(() => sizedOutputs([], { precision: -1 }), /Invalid precision for output: -1/);
+});
+
+test('links against the original geometry whatever the output size', async t => {
+  const dir = tmpDir(t);
+  const run = async (name, extra) => {
+    const file = path.join(dir, `${name}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+      outDir: name,
+      mode: 'area',
+      levels: ['adm0', 'adm1', 'adm2'].map(level => ({ name: level.toUpperCase(), path: fixturePath(`${level}.geojson`) })),
+      ...extra
+    }));
+    await runPipeline(file, { logger: silent });
+    return level => JSON.parse(fs.readFileSync(path.join(dir, name, `${level}_with_parent.geojson`), 'utf8')).features;
+  };
+  const plain = await run('plain', {});
+  const small = await run('small', { simplify: 1, precision: 0, dropBbox: true, variants: [{ name: 'z2', simplify: 2 }] });
+
+  assert.notDeepEqual(small('adm2').map(feature => feature.geometry), plain('adm2').map(feature => feature.geometry));
+  assert.deepEqual(assignments(small('adm2')), assignments(plain('adm2')));
+  assert.deepEqual(assignments(small('adm2'), 'parent_overlap_ratio'), assignments(plain('adm2'), 'parent_overlap_ratio'));
+  assert.ok(small('adm2').every(feature => feature.bbox === undefined));
+  assert.ok(fs.existsSync(path.join(dir, 'small', 'adm2_with_parent.z2.geojson')));
+  assert.ok(fs.existsSync(path.join(dir, 'small', 'adm1_with_parent.z2.geojson')));
+});